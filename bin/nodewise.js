@@ -12,9 +12,55 @@ const path = require('path');
 const config = require('../src/config');
 const { runSetup } = require('../src/setup');
 const { Runner } = require('../src/runner');
+const { runHistoryCommand } = require('../src/commands/history');
+const { runPatternsCommand } = require('../src/commands/patterns');
+const { runExplainCommand } = require('../src/commands/explain');
+const { isValidSignal } = require('../src/processTree');
 
 const VERSION = '1.0.0';
 
+/**
+ * Flags that take a value ("--flag value" or "--flag=value")
+ * Repeatable flags collect their values into an array
+ */
+const VALUE_FLAGS = {
+  '--exec': { key: 'exec' },
+  '-x': { key: 'exec' },
+  '--watch': { key: 'watch', repeatable: true },
+  '-w': { key: 'watch', repeatable: true },
+  '--ext': { key: 'ext' },
+  '-e': { key: 'ext' },
+  '--ignore': { key: 'ignore', repeatable: true },
+  '-i': { key: 'ignore', repeatable: true },
+  '--delay': { key: 'delay' },
+  '--signal': { key: 'signal' },
+  '-s': { key: 'signal' },
+  '--kill-timeout': { key: 'killTimeout' }
+};
+
+/**
+ * Runtime (node) flags that take their value as the next argument,
+ * e.g. "-r dotenv/config" - the value must not be mistaken for the script
+ */
+const RUNTIME_VALUE_FLAGS = [
+  '-r', '--require',
+  '--import',
+  '--loader', '--experimental-loader',
+  '--inspect-port', '--debug-port',
+  '--conditions', '-C',
+  '--input-type',
+  '--env-file',
+  '--max-old-space-size',
+  '--stack-size',
+  '--title',
+  '--redirect-warnings',
+  '--unhandled-rejections',
+  '--dns-result-order',
+  '--openssl-config',
+  '--icu-data-dir',
+  '--tls-cipher-list'
+];
+
 /**
  * Parse command line arguments
  */
@@ -24,15 +70,34 @@ function parseArgs() {
     help: false,
     version: false,
     setup: false,
-    reset: false
+    reset: false,
+    prompt: null,
+    autoExplain: null,
+    exec: null,
+    watch: [],
+    ext: null,
+    ignore: [],
+    delay: null,
+    signal: null,
+    killTimeout: null
   };
 
   let scriptPath = null;
   const scriptArgs = [];
+  const nodeArgs = [];
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
 
+    // Everything after the script belongs to the script
+    if (scriptPath) {
+      scriptArgs.push(arg);
+      continue;
+    }
+
+    const [flagName, inlineValue] = arg.split(/=(.*)/s);
+    const valueFlag = VALUE_FLAGS[flagName];
+
     if (arg === '--help' || arg === '-h') {
       flags.help = true;
     } else if (arg === '--version' || arg === '-v') {
@@ -41,14 +106,97 @@ function parseArgs() {
       flags.setup = true;
     } else if (arg === '--reset') {
       flags.reset = true;
-    } else if (!scriptPath) {
-      scriptPath = arg;
+    } else if (arg === '--no-prompt') {
+      flags.prompt = false;
+    } else if (arg === '--auto-explain') {
+      flags.prompt = false;
+      flags.autoExplain = true;
+    } else if (valueFlag) {
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (value === undefined) {
+        throw new Error(`Missing value for ${flagName}`);
+      }
+
+      if (valueFlag.repeatable) {
+        flags[valueFlag.key].push(value);
+      } else {
+        flags[valueFlag.key] = value;
+      }
+    } else if (arg.startsWith('-')) {
+      // Unknown flags before the script are passed to the runtime (e.g. --inspect)
+      nodeArgs.push(arg);
+
+      if (RUNTIME_VALUE_FLAGS.includes(arg)) {
+        if (args[i + 1] === undefined) {
+          throw new Error(`Missing value for ${arg}`);
+        }
+        nodeArgs.push(args[++i]);
+      }
     } else {
-      scriptArgs.push(arg);
+      scriptPath = arg;
+    }
+  }
+
+  return { flags, scriptPath, scriptArgs, nodeArgs };
+}
+
+/**
+ * Build config overrides from command-line flags
+ */
+function getConfigOverrides(flags) {
+  const overrides = {};
+
+  if (flags.watch.length) {
+    overrides.watch = flags.watch;
+  }
+
+  if (flags.ext) {
+    overrides.ext = flags.ext.split(',').map(e => e.trim().replace(/^\./, '')).filter(Boolean);
+  }
+
+  // Prompts need someone at a terminal - skip them in CI and without a TTY
+  if (flags.prompt !== null) {
+    overrides.prompt = flags.prompt;
+  } else if (config.isNonInteractiveEnvironment()) {
+    overrides.prompt = false;
+  }
+
+  if (flags.autoExplain !== null) {
+    overrides.autoExplain = flags.autoExplain;
+  }
+
+  if (flags.delay !== null) {
+    const delay = parseInt(flags.delay, 10);
+    if (isNaN(delay) || delay < 0) {
+      throw new Error(`Invalid --delay value: ${flags.delay}`);
+    }
+    overrides.delay = delay;
+  }
+
+  if (flags.signal !== null) {
+    const signal = flags.signal.toUpperCase().replace(/^(SIG)?/, 'SIG');
+    if (!isValidSignal(signal)) {
+      throw new Error(`Invalid --signal value: ${flags.signal}`);
     }
+    overrides.killSignal = signal;
   }
 
-  return { flags, scriptPath, scriptArgs };
+  if (flags.killTimeout !== null) {
+    const killTimeout = parseInt(flags.killTimeout, 10);
+    if (isNaN(killTimeout) || killTimeout < 0) {
+      throw new Error(`Invalid --kill-timeout value: ${flags.killTimeout}`);
+    }
+    overrides.killTimeout = killTimeout;
+  }
+
+  return overrides;
+}
+
+/**
+ * Check if the runtime is something other than plain node
+ */
+function isCustomExec(exec) {
+  return Boolean(exec) && exec.trim() !== 'node';
 }
 
 /**
@@ -59,17 +207,64 @@ function showHelp() {
 ${chalk.cyan.bold('nodewise ' + VERSION)} ${chalk.gray('- Node.js error explainer with AI-powered clarity')}
 
 ${chalk.bold('USAGE')}
-  npx nodewise [options] <script> [script-args]
+  npx nodewise [options] [node-flags] <script> [script-args]
+  npx nodewise --exec "<command>" [script] [args]
+
+${chalk.bold('COMMANDS')}
+  explain "<error>"   Explain pasted error text without running anything
+  explain --file <f>  Explain the errors in a log file (- reads stdin)
+  explain <code>      Explain a Node.js code, e.g. ERR_HTTP_HEADERS_SENT, DEP0005
+  history             Recent errors recorded in .nodewise/history.jsonl
+  history show <id>   One recorded error with its explanation
+  history stats       Which errors keep coming back
+  patterns list       Patterns by category (--category <name>)
+  patterns search <t> Find patterns by name, regex or explanation
+  patterns show <n>   One pattern's regex, examples and explanation
+  patterns export     Built-in patterns as JSON/YAML (--format yaml, --out <file>)
+  patterns test       Check pattern examples for shadowed and duplicate patterns
 
 ${chalk.bold('OPTIONS')}
   -h, --help          Show this help message
   -v, --version       Show version
   --setup             Run setup wizard
   --reset             Reset configuration
+  -x, --exec <cmd>    Command used to run the script (default: node)
+                      e.g. tsx, ts-node, "node --loader ts-node/esm", "npm run dev"
+  -w, --watch <path>  Path to watch for changes (repeatable, default: .)
+  -e, --ext <list>    Extensions to watch (default: js,mjs,cjs,ts,json)
+                      e.g. --ext ts,mjs,cjs,env,yaml
+  -i, --ignore <glob> Path or glob to ignore (repeatable)
+  --delay <ms>        Wait for changes to settle before restarting (default: 200)
+  -s, --signal <sig>  Signal sent to the app and its child processes on restart/quit
+                      (default: SIGTERM)
+  --kill-timeout <ms> Time to exit before SIGKILL (default: 2000)
+  --no-prompt         Never ask before explaining, and skip explanations (auto-enabled
+                      in CI and without a TTY); exits with the app's exit code when it stops
+  --auto-explain      Print explanations without asking; exits with the app's exit code
+
+  Any other flag before the script is passed to the runtime,
+  e.g. --inspect, --enable-source-maps or -r dotenv/config
+  (--require, --import, --loader and other node flags take their value
+  as the next argument; for other runtimes' flags use --flag=value)
+
+${chalk.bold('WHILE RUNNING')}
+  rs                  Restart the app
+  e                   Explain the last error again
+  h                   Show error history
+  c                   Clear the screen
+  q                   Quit nodewise
+  Type a command and press Enter; other input goes to your app.
+  Disable with "commands": false in the config.
 
 ${chalk.bold('EXAMPLES')}
   npx nodewise app.js
   npx nodewise server.js --port 3000
+  npx nodewise --enable-source-maps dist/server.js
+  npx nodewise --exec tsx src/server.ts
+  npx nodewise --exec "npm run dev"
+  npx nodewise --watch src --ext ts,env --ignore "**/*.test.ts" dist/app.js
+  npx nodewise explain ERR_REQUIRE_ESM
+  npm test 2>&1 | npx nodewise explain -
   npx nodewise --setup       (configure explanation mode)
   npx nodewise --reset       (reset configuration)
 
@@ -93,11 +288,39 @@ function showVersion() {
   console.log(`nodewise ${VERSION}`);
 }
 
+/**
+ * Subcommands that don't run a script
+ */
+const SUBCOMMANDS = {
+  explain: runExplainCommand,
+  history: runHistoryCommand,
+  patterns: runPatternsCommand
+};
+
 /**
  * Main CLI function
  */
 async function main() {
-  const { flags, scriptPath, scriptArgs } = parseArgs();
+  const [command, ...commandArgs] = process.argv.slice(2);
+
+  if (SUBCOMMANDS[command]) {
+    try {
+      await SUBCOMMANDS[command](commandArgs);
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs();
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}\n`));
+    process.exit(1);
+  }
+  const { flags, scriptPath, scriptArgs, nodeArgs } = parsed;
 
   // Handle info flags
   if (flags.help) {
@@ -121,25 +344,47 @@ async function main() {
     }
   }
 
-  // Check if script path is provided
-  if (!scriptPath) {
+  // A script is required unless a custom command runs the app (e.g. "npm run dev")
+  let savedConfig;
+  try {
+    savedConfig = config.loadConfig();
+  } catch (error) {
+    console.error(chalk.red('Fatal error:'), error.message);
+    process.exit(1);
+  }
+  const exec = flags.exec || (savedConfig && savedConfig.exec);
+
+  if (!scriptPath && !isCustomExec(exec)) {
     console.error(chalk.red('Error: Please provide a script to run\n'));
     showHelp();
     process.exit(1);
   }
 
   // Resolve script path
-  const resolvedScriptPath = path.resolve(process.cwd(), scriptPath);
+  const resolvedScriptPath = scriptPath ? path.resolve(process.cwd(), scriptPath) : null;
 
   try {
     // Load or create configuration
-    let appConfig = config.loadConfig();
+    let appConfig = savedConfig;
 
-    if (!appConfig) {
+    if (!appConfig && config.isNonInteractiveEnvironment()) {
+      // Nobody can answer the setup wizard - use the offline defaults
+      console.log(chalk.cyan('No configuration found. Using normal mode (run nodewise --setup to change).\n'));
+      appConfig = config.getDefaultConfig();
+    } else if (!appConfig) {
       console.log(chalk.cyan('No configuration found. Running setup wizard...\n'));
       appConfig = await runSetup();
     }
 
+    // Command-line options override the saved configuration
+    appConfig = {
+      ...appConfig,
+      ...getConfigOverrides(flags),
+      exec: exec || appConfig.exec,
+      nodeArgs: [...(appConfig.nodeArgs || []), ...nodeArgs],
+      ignorePatterns: [...(appConfig.ignorePatterns || []), ...flags.ignore]
+    };
+
     // Start the runner
     const runner = new Runner(resolvedScriptPath, scriptArgs, appConfig);
 
@@ -152,6 +397,12 @@ async function main() {
       runner.handleShutdown();
     });
 
+    // Never leave the app running behind nodewise
+    process.on('exit', () => {
+      runner.killChildSync();
+      runner.reports.close();
+    });
+
     // Start running
     runner.start();
   } catch (error) {
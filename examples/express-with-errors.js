@@ -1,13 +1,7 @@
 // examples/express-with-errors.js
 // Node.js app with integrated error handling for nodewise
 // This app demonstrates how runtime errors are caught and explained
-
-const errorWrapper = require('../src/errorWrapper');
-
-// Setup error handlers if running under nodewise
-if (process.env.NODEWISE_ACTIVE) {
-  errorWrapper.setupErrorHandlers();
-}
+// No setup needed: nodewise preloads its register hook to capture uncaught errors
 
 // Simulate a server with runtime error handling
 const http = require('http');
@@ -0,0 +1,140 @@
+/**
+ * classifier.js
+ *
+ * Severity classification for detected output
+ * Labels each captured error as one of:
+ * - fatal:    the error crashed the process
+ * - uncaught: uncaught exception/rejection the process survived
+ * - handled:  an error the app caught and logged
+ * - warning:  process warnings (DeprecationWarning, ...)
+ * - noise:    log lines that merely look like errors ("login failed for user")
+ *
+ * User-defined ignore rules and per-severity actions come from config:
+ * {
+ *   ignoreRules: [{ pattern: "login failed", flags: "i", stream: "stdout" }],
+ *   severityActions: { handled: "auto-explain", warning: "ignore" }
+ * }
+ */
+
+const { isErrorHeader, isLocationLine } = require('./stackParser');
+
+const SEVERITIES = ['fatal', 'uncaught', 'handled', 'warning', 'noise'];
+const ACTIONS = ['prompt', 'auto-explain', 'ignore'];
+const STREAMS = ['stdout', 'stderr', 'report', 'any'];
+
+// Older name of the 'report' stream, from when reports came over IPC
+const LEGACY_STREAMS = { ipc: 'report' };
+
+const DEFAULT_ACTIONS = {
+  fatal: 'prompt',
+  uncaught: 'prompt',
+  handled: 'prompt',
+  warning: 'ignore',
+  noise: 'ignore'
+};
+
+/**
+ * Classify a parsed error
+ *
+ * @param {object} error - Parsed error object; `source` is the stream it came from,
+ *                         `kind`/`fatal` are set for errors reported by the register hook
+ * @returns {string} - One of SEVERITIES
+ */
+function classifyError(error) {
+  const raw = error.raw || '';
+
+  if (error.kind === 'warning' || /Warning$/.test(error.name || '')) {
+    return 'warning';
+  }
+
+  if (error.kind === 'uncaughtException' || error.kind === 'unhandledRejection') {
+    return error.fatal === false ? 'uncaught' : 'fatal';
+  }
+
+  // V8 aborts (out of memory, ...) and Node's uncaught error output
+  // ("file:line" + excerpt on top, "Node.js vX" at the bottom)
+  if (/^FATAL ERROR:/m.test(raw) || /^Node\.js v\d/m.test(raw) || isLocationLine(raw.split('\n')[0])) {
+    return 'fatal';
+  }
+
+  if (/^(Uncaught|Unhandled)/im.test(raw)) {
+    return 'uncaught';
+  }
+
+  // A real error header with frames or properties - logged by the app
+  const hasHeader = raw.split('\n').some(isErrorHeader);
+  if (hasHeader && (error.frames.length || error.code)) {
+    return 'handled';
+  }
+
+  return 'noise';
+}
+
+/**
+ * Compile ignore rules from config
+ * A rule is a regex string (any stream) or { pattern, flags, stream }
+ */
+function compileIgnoreRules(rules = []) {
+  return rules.map((rule) => {
+    const { pattern, flags = 'i', stream: name = 'any' } = typeof rule === 'string' ? { pattern: rule } : rule;
+    const stream = LEGACY_STREAMS[name] || name;
+
+    if (!STREAMS.includes(stream)) {
+      throw new Error(`Invalid ignore rule stream "${stream}" (use ${STREAMS.join(', ')})`);
+    }
+
+    try {
+      return { regex: new RegExp(pattern, flags), stream };
+    } catch (e) {
+      throw new Error(`Invalid ignore rule pattern "${pattern}": ${e.message}`);
+    }
+  });
+}
+
+/**
+ * Check if an error matches one of the compiled ignore rules
+ */
+function isIgnored(error, compiledRules) {
+  return compiledRules.some(rule =>
+    (rule.stream === 'any' || rule.stream === error.source) && rule.regex.test(error.raw)
+  );
+}
+
+/**
+ * Check the severityActions config up front, so a typo fails at startup
+ * rather than when the first error arrives
+ */
+function validateSeverityActions(severityActions = {}) {
+  Object.entries(severityActions || {}).forEach(([severity, action]) => {
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severityActions level "${severity}" (use ${SEVERITIES.join(', ')})`);
+    }
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Invalid action "${action}" for ${severity} (use ${ACTIONS.join(', ')})`);
+    }
+  });
+  return severityActions;
+}
+
+/**
+ * Get the configured action for a severity
+ */
+function getSeverityAction(severity, severityActions = {}) {
+  const action = severityActions[severity] || DEFAULT_ACTIONS[severity];
+
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Invalid action "${action}" for ${severity} (use ${ACTIONS.join(', ')})`);
+  }
+  return action;
+}
+
+module.exports = {
+  classifyError,
+  compileIgnoreRules,
+  isIgnored,
+  getSeverityAction,
+  validateSeverityActions,
+  SEVERITIES,
+  ACTIONS,
+  DEFAULT_ACTIONS
+};
@@ -0,0 +1,122 @@
+/**
+ * codeCatalog.js
+ *
+ * Offline catalog of Node.js error codes (ERR_*) and deprecation codes (DEP0xxx)
+ * It covers the codes apps commonly run into, not every code Node.js defines.
+ * The data lives in nodeCodes.json and is versioned on its own: bump its
+ * "version" when entries change; "node" is the release line it was
+ * checked against.
+ *
+ * Entry format:
+ * "ERR_OSSL_EVP_UNSUPPORTED": {
+ *   "description": "OpenSSL rejected a hash or cipher ...",
+ *   "causes": ["webpack 4 ... hashing with md4 on Node.js 17+"],
+ *   "fix": ["Upgrade the build tool (webpack 5, react-scripts 5)"],
+ *   "since": "v17.0.0"   // the Node.js release that added the code
+ *                        // (DEP0xxx: that deprecated it)
+ * }
+ *
+ * Every field is required - `nodewise patterns test` lists entries missing one.
+ *
+ * Errors with a cataloged code are explained from here before any regex
+ * pattern is tried (see errorPatterns.findErrorPattern()).
+ */
+
+const catalog = require('./nodeCodes.json');
+const { compilePattern } = require('./patternFormat');
+
+const DOCS_BASE = 'https://nodejs.org/api';
+
+const REQUIRED_FIELDS = ['description', 'causes', 'fix', 'since'];
+const VERSION_REGEX = /^v\d+\.\d+\.\d+$/;
+
+// Compiled patterns, built on first use
+const compiledPatterns = new Map(); // code -> pattern
+
+/**
+ * Check if a code is in the catalog
+ */
+function hasCode(code) {
+  return Boolean(code) && Object.prototype.hasOwnProperty.call(catalog.codes, code);
+}
+
+/**
+ * Link to the code in the Node.js docs
+ */
+function getDocsUrl(code) {
+  const page = code.startsWith('DEP') ? 'deprecations' : 'errors';
+  return `${DOCS_BASE}/${page}.html#${code.toLowerCase()}`;
+}
+
+/**
+ * Look up a code
+ *
+ * @returns {object|null} - { code, description, causes, fix, since, docs }
+ */
+function getCodeInfo(code) {
+  if (!hasCode(code)) return null;
+  return { code, ...catalog.codes[code], docs: getDocsUrl(code) };
+}
+
+/**
+ * Get the catalog entry for a code as a pattern, so it is explained and
+ * recorded like any other match
+ *
+ * @returns {object|null} - { name: code, match, explain, codes, docs, catalog: version }
+ */
+function getCatalogPattern(code) {
+  if (!hasCode(code)) return null;
+
+  if (!compiledPatterns.has(code)) {
+    const info = getCodeInfo(code);
+    const since = ` ${code.startsWith('DEP') ? 'Deprecated' : 'Added'} in Node.js ${info.since}.`;
+
+    const pattern = compilePattern({
+      name: code,
+      codes: [code],
+      summary: info.description + since,
+      causes: info.causes,
+      solution: info.fix,
+      docs: [info.docs]
+    });
+    pattern.catalog = catalog.version;
+    compiledPatterns.set(code, pattern);
+  }
+
+  return compiledPatterns.get(code);
+}
+
+/**
+ * All cataloged codes
+ */
+function getCatalogCodes() {
+  return Object.keys(catalog.codes);
+}
+
+/**
+ * Find entries with a required field missing or empty
+ *
+ * @returns {object[]} - [{ code, missing: [field] }]
+ */
+function findIncompleteCodes() {
+  return getCatalogCodes()
+    .map((code) => {
+      const info = catalog.codes[code];
+      const missing = REQUIRED_FIELDS.filter((field) => {
+        const value = info[field];
+        if (field === 'since') return !VERSION_REGEX.test(value);
+        return Array.isArray(value) ? !value.length : !value;
+      });
+      return { code, missing };
+    })
+    .filter(({ missing }) => missing.length);
+}
+
+module.exports = {
+  getCodeInfo,
+  getCatalogPattern,
+  getCatalogCodes,
+  findIncompleteCodes,
+  CATALOG_VERSION: catalog.version,
+  CATALOG_NODE_VERSION: catalog.node
+};
@@ -0,0 +1,153 @@
+/**
+ * commands/explain.js
+ *
+ * `nodewise explain` - explain an error without running anything
+ * - nodewise explain "<error text>"
+ * - nodewise explain --file build.log
+ * - nodewise explain -                      (read stdin)
+ * - nodewise explain ERR_HTTP_HEADERS_SENT  (an error or deprecation code)
+ * Uses the configured mode, pattern packs and project dependencies, like
+ * errors caught while running an app.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { explain } = require('../explainer');
+const { displayExplanation } = require('../explainer/interactive');
+const { parseError, getUserFrame, formatFrame } = require('../stackParser');
+const { extractErrors } = require('../errorAssembler');
+const { usePatternPacks, useProjectDependencies } = require('../errorPatterns');
+const { loadPatternPacks } = require('../patternPacks');
+const { readProjectDependencies } = require('../projectDependencies');
+const { loadConfig, getDefaultConfig } = require('../config');
+
+// A bare code: ERR_HTTP_HEADERS_SENT, DEP0005, ECONNREFUSED, ...
+const CODE_REGEX = /^(ERR_[A-Z0-9_]+|DEP\d{4}|E[A-Z]{2,})$/;
+
+// A log can hold many errors - explain the first few
+const MAX_ERRORS = 5;
+
+/**
+ * Parse the arguments after "explain"
+ *
+ * @returns {object} - { file, stdin, text }
+ */
+function parseOptions(args) {
+  const options = { file: null, stdin: false, text: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+
+    if (flag === '--file' || flag === '-f') {
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (value === undefined) {
+        throw new Error(`Missing value for ${flag}`);
+      }
+      options.file = value;
+    } else if (args[i] === '-') {
+      options.stdin = true;
+    } else if (args[i].startsWith('--')) {
+      throw new Error(`Unknown option: ${args[i]}`);
+    } else {
+      options.text.push(args[i]);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Read all of stdin
+ */
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on('data', chunk => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * Get the text to explain from the file, stdin or the arguments
+ */
+async function readInput(options, cwd) {
+  if (options.file) {
+    const file = path.resolve(cwd, options.file);
+    if (!fs.existsSync(file)) {
+      throw new Error(`File not found: ${options.file}`);
+    }
+    return fs.readFileSync(file, 'utf8');
+  }
+
+  if (options.stdin) {
+    return readStdin();
+  }
+
+  return options.text.join(' ');
+}
+
+/**
+ * Turn a bare code into error text the parser and the code catalog understand
+ */
+function codeToErrorText(code) {
+  const name = code.startsWith('DEP') ? 'DeprecationWarning' : 'Error';
+  return `${name} [${code}]: ${code}`;
+}
+
+/**
+ * Activate the project's pattern packs and dependencies, as the Runner does
+ */
+function loadProjectPatterns(config, cwd) {
+  const { packs, errors } = loadPatternPacks({ cwd, packages: config.patternPacks || [] });
+  usePatternPacks(packs);
+  useProjectDependencies(readProjectDependencies(cwd));
+
+  errors.forEach(({ source, message }) => {
+    console.log(chalk.yellow(`⚠ Skipping pattern pack ${source}: ${message}`));
+  });
+}
+
+/**
+ * nodewise explain
+ *
+ * @param {string[]} args - Arguments after "explain"
+ */
+async function runExplainCommand(args = [], cwd = process.cwd()) {
+  const options = parseOptions(args);
+  const input = (await readInput(options, cwd)).trim();
+
+  if (!input) {
+    throw new Error('Nothing to explain (pass error text, --file <path>, - for stdin, or an error code)');
+  }
+
+  const config = loadConfig() || getDefaultConfig();
+  loadProjectPatterns(config, cwd);
+
+  const isCode = CODE_REGEX.test(input);
+  const texts = isCode ? [codeToErrorText(input)] : extractErrors(input);
+
+  for (const text of texts.slice(0, MAX_ERRORS)) {
+    const error = parseError(text);
+    const frame = getUserFrame(error);
+    let title = error.name ? `${error.name}: ${error.message.split('\n')[0]}` : text.split('\n')[0];
+    if (isCode) title = input;
+
+    console.log();
+    console.log(chalk.white.bold(`  ${title}`));
+    if (frame) {
+      console.log(chalk.gray(`    at ${formatFrame(frame)}`));
+    }
+
+    displayExplanation(await explain(text, config));
+  }
+
+  if (texts.length > MAX_ERRORS) {
+    console.log(chalk.gray(`  ${texts.length - MAX_ERRORS} more errors not explained - pass them one at a time\n`));
+  }
+}
+
+module.exports = {
+  runExplainCommand
+};
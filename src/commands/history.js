@@ -0,0 +1,160 @@
+/**
+ * commands/history.js
+ *
+ * `nodewise history` subcommands
+ * - nodewise history              Recent errors
+ * - nodewise history show <id>    One error with its explanation
+ * - nodewise history stats        Which errors keep coming back
+ */
+
+const chalk = require('chalk');
+const { HistoryStore } = require('../history');
+
+const RECENT_LIMIT = 20;
+
+const SEVERITY_COLORS = {
+  fatal: chalk.hex('#FF5F5F'),
+  uncaught: chalk.hex('#FF875F'),
+  handled: chalk.yellow,
+  warning: chalk.cyan,
+  noise: chalk.gray
+};
+
+/**
+ * Format an ISO timestamp as "2026-10-19 10:02"
+ */
+function formatTime(iso) {
+  const date = new Date(iso);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function colorSeverity(severity) {
+  const color = SEVERITY_COLORS[severity] || chalk.white;
+  return color((severity || 'unknown').padEnd(8));
+}
+
+/**
+ * nodewise history
+ */
+function showRecent(store) {
+  const entries = store.readAll();
+
+  if (!entries.length) {
+    console.log(chalk.gray('\n  No errors recorded yet.\n'));
+    return;
+  }
+
+  console.log(chalk.bold(`\n  Recent errors`) + chalk.gray(` (${entries.length} total)\n`));
+
+  entries.slice(-RECENT_LIMIT).reverse().forEach((entry) => {
+    const id = chalk.cyan(`#${entry.id}`.padEnd(6));
+    console.log(`  ${id} ${chalk.gray(formatTime(entry.time))}  ${colorSeverity(entry.severity)} ${chalk.white(`${entry.name}: ${entry.message}`)}`);
+    if (entry.location) {
+      console.log(chalk.gray(`         at ${entry.location}`));
+    }
+  });
+
+  console.log(chalk.gray(`\n  nodewise history show <id>   details and explanation`));
+  console.log(chalk.gray(`  nodewise history stats       recurring errors\n`));
+}
+
+/**
+ * nodewise history show <id>
+ */
+function showEntry(store, id) {
+  if (!id) {
+    throw new Error('Usage: nodewise history show <id>');
+  }
+
+  const entry = store.get(id);
+  if (!entry) {
+    throw new Error(`No history entry #${id}`);
+  }
+
+  const field = (label, value) => {
+    if (value) console.log(`  ${chalk.gray(label.padEnd(12))} ${value}`);
+  };
+
+  console.log(chalk.bold(`\n  #${entry.id} `) + chalk.white(`${entry.name}: ${entry.message}`));
+  console.log();
+  field('Time', formatTime(entry.time));
+  field('Severity', colorSeverity(entry.severity).trim());
+  field('Code', entry.code);
+  field('Location', entry.location);
+  field('Script', entry.script);
+  field('Commit', entry.commit);
+  field('Pattern', entry.pattern);
+  field('Fingerprint', entry.fingerprint);
+
+  if (entry.raw) {
+    console.log(chalk.bold('\n  Output'));
+    entry.raw.split('\n').forEach(line => console.log(chalk.gray('    ' + line)));
+  }
+
+  console.log(chalk.bold('\n  Explanation'));
+  if (entry.explanation) {
+    entry.explanation.split('\n').forEach(line => console.log('    ' + line));
+  } else {
+    console.log(chalk.gray('    (not explained)'));
+  }
+  console.log();
+}
+
+/**
+ * nodewise history stats
+ */
+function showStats(store) {
+  const stats = store.stats();
+
+  if (!stats.total) {
+    console.log(chalk.gray('\n  No errors recorded yet.\n'));
+    return;
+  }
+
+  console.log(chalk.bold('\n  Error history stats\n'));
+  console.log(`  ${chalk.gray('Total'.padEnd(12))} ${stats.total}`);
+  console.log(`  ${chalk.gray('Unique'.padEnd(12))} ${stats.unique}`);
+  Object.entries(stats.bySeverity).forEach(([severity, count]) => {
+    console.log(`  ${colorSeverity(severity)}     ${count}`);
+  });
+
+  console.log(chalk.bold('\n  Most frequent\n'));
+  stats.errors.slice(0, 10).forEach((group) => {
+    const count = chalk.hex('#FF5F5F').bold(`${group.count}x`.padStart(5));
+    console.log(`  ${count}  ${chalk.white(group.summary)}`);
+    const details = [
+      `last ${formatTime(group.lastSeen)} (#${group.lastId})`,
+      group.pattern && `pattern ${group.pattern}`,
+      group.commits.length && `${group.commits.length} commit${group.commits.length === 1 ? '' : 's'}`
+    ].filter(Boolean).join(' · ');
+    console.log(chalk.gray(`         ${details}`));
+  });
+  console.log();
+}
+
+/**
+ * Run a history subcommand
+ *
+ * @param {string[]} args - Arguments after "history"
+ */
+function runHistoryCommand(args = [], cwd = process.cwd()) {
+  const store = new HistoryStore(cwd);
+  const [subcommand, ...rest] = args;
+
+  switch (subcommand) {
+    case undefined:
+    case 'list':
+      return showRecent(store);
+    case 'show':
+      return showEntry(store, rest[0]);
+    case 'stats':
+      return showStats(store);
+    default:
+      throw new Error(`Unknown history command: ${subcommand} (use show <id> or stats)`);
+  }
+}
+
+module.exports = {
+  runHistoryCommand
+};
@@ -0,0 +1,414 @@
+/**
+ * commands/patterns.js
+ *
+ * `nodewise patterns` subcommands
+ * - nodewise patterns export [--format json|yaml] [--out <file>]
+ *     Built-in patterns in the declarative format, e.g. as a starting
+ *     point for a pack in .nodewise/patterns/
+ * - nodewise patterns test
+ *     Run every pattern's examples (built-ins and loaded packs) and report
+ *     shadowed patterns, duplicate names and patterns no example reaches
+ * - nodewise patterns list [--category <name>]
+ * - nodewise patterns search <term>
+ * - nodewise patterns show <NAME>
+ *     Browse what the active patterns (built-ins and loaded packs) cover
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const {
+  errorPatterns, usePatternPacks, useProjectDependencies, getPatterns, getPatternFramework, renderExplanation
+} = require('../errorPatterns');
+const { getCatalogPattern, getCatalogCodes } = require('../codeCatalog');
+const { toDeclarative, stringifyPack } = require('../patternFormat');
+const { loadPatternPacks } = require('../patternPacks');
+const { readProjectDependencies } = require('../projectDependencies');
+const { runPatternTests } = require('../patternTests');
+const { loadConfig } = require('../config');
+const { version } = require('../../package.json');
+
+const FORMATS = ['json', 'yaml'];
+
+// Examples are shown by their first line, cut to this length
+const EXAMPLE_WIDTH = 100;
+
+// Pattern name lists wrap at this width
+const LIST_WIDTH = 76;
+
+// Category of patterns that don't set one
+const DEFAULT_CATEGORY = 'Other';
+
+// Pattern names are padded to this width in lists, summaries cut to this length
+const NAME_WIDTH = 36;
+const SUMMARY_WIDTH = 80;
+
+/**
+ * Parse "--flag value" / "--flag=value" options
+ */
+function parseOptions(args, names) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+    const name = flag.replace(/^--/, '');
+
+    if (!flag.startsWith('--') || !names.includes(name)) {
+      throw new Error(`Unknown option: ${args[i]}`);
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : args[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for --${name}`);
+    }
+    options[name] = value;
+  }
+
+  return options;
+}
+
+/**
+ * nodewise patterns export
+ */
+function exportPatterns(args, cwd) {
+  const options = parseOptions(args, ['format', 'out']);
+  const format = options.format
+    || (options.out && /\.ya?ml$/i.test(options.out) ? 'yaml' : 'json');
+
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (use ${FORMATS.join(' or ')})`);
+  }
+
+  const pack = {
+    name: 'nodewise-builtin',
+    version,
+    precedence: 0,
+    patterns: errorPatterns.map(toDeclarative)
+  };
+  const output = stringifyPack(pack, format);
+
+  if (!options.out) {
+    process.stdout.write(output);
+    return;
+  }
+
+  const file = path.resolve(cwd, options.out);
+  fs.writeFileSync(file, output, 'utf8');
+  console.log(chalk.green(`\n  ✓ Exported ${pack.patterns.length} patterns to ${path.relative(cwd, file)}\n`));
+}
+
+/**
+ * Load and activate the project's pattern packs (config.patternPacks and .nodewise/patterns/)
+ *
+ * @returns {object} - { packs, errors }
+ */
+function activatePatternPacks(cwd) {
+  const config = loadConfig() || {};
+  const result = loadPatternPacks({ cwd, packages: config.patternPacks || [] });
+  usePatternPacks(result.packs);
+  return result;
+}
+
+/**
+ * First line of an example, shortened for display
+ */
+function formatExample(example) {
+  const [line] = example.trim().split('\n');
+  return line.length > EXAMPLE_WIDTH ? `${line.slice(0, EXAMPLE_WIDTH - 1)}…` : line;
+}
+
+/**
+ * Join names into comma separated lines that fit the terminal
+ */
+function wrapList(names) {
+  const lines = [];
+  let line = '';
+
+  names.forEach((name, i) => {
+    const item = i < names.length - 1 ? `${name},` : name;
+    if (line && line.length + item.length + 1 > LIST_WIDTH) {
+      lines.push(line);
+      line = item;
+    } else {
+      line = line ? `${line} ${item}` : item;
+    }
+  });
+
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Describe a pattern with the pack it came from
+ */
+function formatPattern(pattern) {
+  if (pattern.catalog) return `${pattern.name} ${chalk.gray(`(Node.js code catalog ${pattern.catalog})`)}`;
+  return pattern.pack ? `${pattern.name} ${chalk.gray(`(${pattern.pack})`)}` : pattern.name;
+}
+
+/**
+ * nodewise patterns test
+ */
+function testPatterns(args, cwd) {
+  if (args.length) {
+    throw new Error(`Unknown option: ${args[0]}`);
+  }
+
+  const { packs, errors } = activatePatternPacks(cwd);
+  const report = runPatternTests(packs);
+  const problems = errors.length + report.failures.length + report.duplicates.length + report.untested.length
+    + report.outputFailures.length + report.incompleteCodes.length;
+
+  console.log(chalk.bold('\n  Pattern tests') + chalk.gray(` (${report.patterns} patterns, ${report.examples} examples)`));
+
+  if (problems) console.log();
+
+  errors.forEach(({ source, message }) => {
+    console.log(chalk.red(`  ✗ Pattern pack ${source}: ${message}`));
+  });
+
+  report.failures.forEach(({ type, pattern, example, winner, score, winnerScore }) => {
+    if (type === 'no-match') {
+      console.log(chalk.red(`  ✗ ${formatPattern(pattern)}`) + chalk.white(` doesn't match its example - ${formatPattern(winner)} wins`));
+    } else if (type === 'shadowed') {
+      const scores = winnerScore === null ? '' : chalk.gray(` (${score} vs ${winnerScore})`);
+      console.log(chalk.red(`  ✗ ${formatPattern(pattern)}`) + chalk.white(` is shadowed by ${formatPattern(winner)}`) + scores);
+    } else {
+      console.log(chalk.red(`  ✗ ${formatPattern(pattern)}`) + chalk.white(' wins its counter-example') + chalk.gray(` (${score})`));
+    }
+    console.log(chalk.gray(`      ${formatExample(example)}`));
+  });
+
+  report.duplicates.forEach(({ name, source, count }) => {
+    console.log(chalk.red(`  ✗ ${name}`) + chalk.white(` is defined ${count} times in ${source}`));
+  });
+
+  report.untested.forEach((pattern) => {
+    console.log(chalk.red(`  ✗ ${formatPattern(pattern)}`) + chalk.white(' has no examples'));
+  });
+
+  const formatChains = chains => chains.map(chain => chain.join(' > ')).join(' | ') || '(nothing)';
+  report.outputFailures.forEach(({ name, expected, actual }) => {
+    console.log(chalk.red(`  ✗ Output "${name}"`) + chalk.white(` assembles as ${formatChains(actual)}`));
+    console.log(chalk.gray(`      expected ${formatChains(expected)}`));
+  });
+
+  report.incompleteCodes.forEach(({ code, missing }) => {
+    console.log(chalk.red(`  ✗ ${code}`) + chalk.white(` in the code catalog has no valid ${missing.join(', ')}`));
+  });
+
+  if (report.overrides.length) {
+    console.log();
+    report.overrides.forEach(({ name, source, overridden }) => {
+      console.log(chalk.cyan(`  ↪ ${name}`) + chalk.gray(` from ${source} overrides ${overridden.join(', ')}`));
+    });
+  }
+
+  if (report.unreached.length) {
+    console.log(chalk.yellow(`\n  ⚠ ${report.unreached.length} patterns are not reached by any example:`));
+    wrapList(report.unreached.map(pattern => pattern.name)).forEach((line) => {
+      console.log(chalk.gray(`    ${line}`));
+    });
+  }
+
+  if (problems) {
+    console.log();
+    throw new Error(`${problems} pattern test${problems === 1 ? '' : 's'} failed`);
+  }
+
+  console.log(chalk.green(`\n  ✓ All ${report.examples} examples resolve to their patterns\n`));
+}
+
+/**
+ * Category of a pattern, for grouping
+ */
+function getCategory(pattern) {
+  return pattern.category || DEFAULT_CATEGORY;
+}
+
+/**
+ * First line of a pattern's explanation, placeholders filled with their fallbacks
+ */
+function getSummary(pattern) {
+  const [line] = renderExplanation(pattern, {}).split('\n');
+  return line.length > SUMMARY_WIDTH ? `${line.slice(0, SUMMARY_WIDTH - 1)}…` : line;
+}
+
+/**
+ * Print patterns grouped by category, in the order categories first appear
+ */
+function printGroups(patterns) {
+  const groups = new Map(); // category -> [pattern]
+  patterns.forEach((pattern) => {
+    const category = getCategory(pattern);
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(pattern);
+  });
+
+  groups.forEach((members, category) => {
+    console.log(chalk.bold(`\n  ${category}`) + chalk.gray(` (${members.length})`));
+    members.forEach((pattern) => {
+      const name = chalk.cyan(pattern.name.padEnd(NAME_WIDTH));
+      const pack = pattern.pack ? chalk.gray(` (${pattern.pack})`) : '';
+      console.log(`    ${name} ${chalk.white(getSummary(pattern))}${pack}`);
+    });
+  });
+}
+
+/**
+ * nodewise patterns list [--category <name>]
+ */
+function listPatterns(args, cwd) {
+  const options = parseOptions(args, ['category']);
+  const { errors } = activatePatternPacks(cwd);
+
+  errors.forEach(({ source, message }) => {
+    console.log(chalk.yellow(`  ⚠ Skipping pattern pack ${source}: ${message}`));
+  });
+
+  const patterns = getPatterns().filter(pattern =>
+    !options.category || getCategory(pattern).toLowerCase() === options.category.toLowerCase()
+  );
+  if (!patterns.length) {
+    const categories = [...new Set(getPatterns().map(getCategory))];
+    throw new Error(`No patterns in category ${options.category} (categories: ${categories.join(', ')})`);
+  }
+
+  printGroups(patterns);
+  const catalog = options.category ? '' : `, plus ${getCatalogCodes().length} Node.js codes from the code catalog`;
+  console.log(chalk.gray(`\n  ${patterns.length} patterns${catalog}`));
+  console.log(chalk.gray('  nodewise patterns show <NAME>     regex, examples and full explanation'));
+  console.log(chalk.gray('  nodewise patterns search <term>   find patterns by name, regex or explanation\n'));
+}
+
+/**
+ * Text a search term is looked up in
+ */
+function getSearchText(pattern) {
+  return [
+    pattern.name,
+    getCategory(pattern),
+    pattern.match.source,
+    ...(pattern.codes || []),
+    ...(pattern.modules || []),
+    ...(pattern.examples || []),
+    renderExplanation(pattern, {})
+  ].join('\n').toLowerCase();
+}
+
+/**
+ * nodewise patterns search <term>
+ */
+function searchPatterns(args, cwd) {
+  const term = args.join(' ').trim();
+  if (!term) {
+    throw new Error('Missing search term (nodewise patterns search <term>)');
+  }
+
+  activatePatternPacks(cwd);
+
+  const needle = term.toLowerCase();
+  const patterns = getPatterns().filter(pattern => getSearchText(pattern).includes(needle));
+  const codes = getCatalogCodes().filter(code => code.toLowerCase().includes(needle));
+
+  if (!patterns.length && !codes.length) {
+    console.log(chalk.gray(`\n  No patterns match "${term}".\n`));
+    return;
+  }
+
+  if (patterns.length) {
+    printGroups(patterns);
+  }
+
+  if (codes.length) {
+    console.log(chalk.bold('\n  Node.js code catalog') + chalk.gray(` (${codes.length})`));
+    wrapList(codes).forEach(line => console.log(chalk.cyan(`    ${line}`)));
+  }
+
+  console.log(chalk.gray(`\n  ${patterns.length + codes.length} matches for "${term}" - nodewise patterns show <NAME> for details\n`));
+}
+
+/**
+ * Find a pattern (or cataloged code) by name, ignoring case
+ */
+function findPattern(name) {
+  const wanted = name.toUpperCase();
+  return getPatterns().find(pattern => pattern.name.toUpperCase() === wanted)
+    || getCatalogPattern(wanted);
+}
+
+/**
+ * Format a regex like a literal: /source/flags
+ */
+function formatRegex(regex) {
+  return `/${regex.source}/${regex.flags}`;
+}
+
+/**
+ * nodewise patterns show <NAME>
+ */
+function showPattern(args, cwd) {
+  if (args.length !== 1) {
+    throw new Error('Usage: nodewise patterns show <NAME>');
+  }
+
+  activatePatternPacks(cwd);
+  // Framework patterns mention the version the project uses
+  useProjectDependencies(readProjectDependencies(cwd));
+
+  const pattern = findPattern(args[0]);
+  if (!pattern) {
+    const needle = args[0].toUpperCase();
+    const similar = getPatterns().filter(p => p.name.includes(needle)).map(p => p.name);
+    const hint = similar.length ? ` - did you mean ${similar.slice(0, 5).join(', ')}?` : ' (see nodewise patterns list)';
+    throw new Error(`Unknown pattern: ${args[0]}${hint}`);
+  }
+
+  const field = (label, value) => console.log(`  ${chalk.gray(label.padEnd(12))}${value}`);
+
+  console.log(chalk.bold(`\n  ${pattern.name}\n`));
+  field('Category', pattern.catalog ? 'Node.js code catalog' : getCategory(pattern));
+  field('Source', pattern.catalog ? `nodeCodes.json ${pattern.catalog}` : (pattern.pack || 'built-in'));
+  field('Match', chalk.yellow(formatRegex(pattern.match)));
+  (pattern.captures || []).forEach(regex => field('Captures', chalk.yellow(formatRegex(regex))));
+  if (pattern.codes) field('Codes', pattern.codes.join(', '));
+  if (pattern.modules) {
+    const framework = getPatternFramework(pattern);
+    field('Modules', pattern.modules.join(', ') + (framework ? chalk.gray(` (project uses ${framework.name} ${framework.version})`) : ''));
+  }
+  if (pattern.priority) field('Priority', String(pattern.priority));
+  (pattern.examples || []).forEach(example => field('Example', chalk.gray(formatExample(example))));
+  (pattern.counterExamples || []).forEach(example => field('Not', chalk.gray(formatExample(example))));
+
+  console.log(chalk.gray(`\n  ${'─'.repeat(45)}\n`));
+  renderExplanation(pattern, {}).split('\n').forEach(line => console.log(line.trim() ? `    ${line}` : ''));
+  console.log();
+}
+
+/**
+ * Run a patterns subcommand
+ *
+ * @param {string[]} args - Arguments after "patterns"
+ */
+function runPatternsCommand(args = [], cwd = process.cwd()) {
+  const [subcommand, ...rest] = args;
+
+  switch (subcommand) {
+    case 'export':
+      return exportPatterns(rest, cwd);
+    case 'test':
+      return testPatterns(rest, cwd);
+    case 'list':
+      return listPatterns(rest, cwd);
+    case 'search':
+      return searchPatterns(rest, cwd);
+    case 'show':
+      return showPattern(rest, cwd);
+    default:
+      throw new Error(`Unknown patterns command: ${subcommand || '(none)'} (use list, search, show, export or test)`);
+  }
+}
+
+module.exports = {
+  runPatternsCommand
+};
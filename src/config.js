@@ -7,6 +7,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { RESTART_MODES } = require('./restartPolicy');
+const { isValidSignal } = require('./processTree');
 
 const CONFIG_FILE = 'nodewise.config.json';
 const HIDDEN_CONFIG_FILE = '.nodewise.config.json';
@@ -59,22 +61,58 @@ function configExists() {
   return fs.existsSync(getConfigPath());
 }
 
+// Default ignorePatterns written by older versions - they hid .env changes
+const LEGACY_IGNORE_PATTERNS = ['node_modules', '.git', '.env'];
+
 /**
- * Load configuration from file
+ * Update settings saved by older versions
+ * A saved copy of an old default is replaced with the current default;
+ * lists the user edited are left alone
  */
-function loadConfig() {
-  const configPath = getConfigPath();
+function migrateConfig(config) {
+  const ignore = config.ignorePatterns;
+  if (Array.isArray(ignore) && ignore.length === LEGACY_IGNORE_PATTERNS.length
+    && LEGACY_IGNORE_PATTERNS.every(pattern => ignore.includes(pattern))) {
+    config.ignorePatterns = getDefaultConfig().ignorePatterns;
+  }
+  return config;
+}
 
+/**
+ * Read the config file as saved, without validating it
+ */
+function readConfig(configPath) {
   if (!fs.existsSync(configPath)) {
     return null;
   }
 
+  let config;
   try {
     const data = fs.readFileSync(configPath, 'utf8');
-    return JSON.parse(data);
+    config = JSON.parse(data);
   } catch (error) {
     throw new Error(`Failed to parse config file: ${error.message}`);
   }
+  return migrateConfig(config);
+}
+
+/**
+ * Load configuration from file
+ * Settings a hand-edited file can get wrong are checked here, so a bad
+ * killSignal fails at startup rather than on the first restart
+ */
+function loadConfig() {
+  const configPath = getConfigPath();
+  const config = readConfig(configPath);
+
+  if (config) {
+    try {
+      validateSettings(config);
+    } catch (error) {
+      throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+    }
+  }
+  return config;
 }
 
 /**
@@ -102,12 +140,50 @@ function getDefaultConfig() {
       endpoint: '',
       apiKey: ''
     },
-    autoRestart: true,
-    ignorePatterns: ['node_modules', '.git', '.env'],
+    exec: 'node',
+    nodeArgs: [],
+    autoRestart: 'on-change', // never | on-change | on-crash | always
+    restart: {
+      initialDelay: 1000,
+      maxDelay: 30000,
+      factor: 2,
+      maxRestarts: 5,
+      window: 60000
+    },
+    sourceMaps: true,
+    prompt: true,        // false: never ask (auto-detected in CI / without a TTY)
+    autoExplain: false,  // true: print explanations without asking
+    history: true,       // record errors in .nodewise/history.jsonl
+    commands: true,      // console commands: rs, :e, :h, :c, :q
+    patternPacks: [],    // npm packages named nodewise-patterns-*
+    ignoreRules: [],     // e.g. [{ pattern: "login failed", flags: "i", stream: "stdout" }]
+    severityActions: {   // prompt | auto-explain | ignore
+      fatal: 'prompt',
+      uncaught: 'prompt',
+      handled: 'prompt',
+      warning: 'ignore',
+      noise: 'ignore'
+    },
+    watch: ['.'],
+    ext: ['js', 'mjs', 'cjs', 'ts', 'json'],
+    ignorePatterns: ['node_modules', '.git'],
+    delay: 200,
+    killSignal: 'SIGTERM', // sent to the app's process tree on restart/stop
+    killTimeout: 2000,     // ms before SIGKILL
     timeout: 60000 // 60 seconds
   };
 }
 
+/**
+ * Check if nodewise runs without a user to answer prompts
+ * (CI, Docker, piped stdin/stdout)
+ */
+function isNonInteractiveEnvironment(env = process.env) {
+  const ci = env.CI || env.CONTINUOUS_INTEGRATION || env.BUILD_NUMBER;
+  const isCI = Boolean(ci) && ci !== 'false' && ci !== '0';
+  return isCI || !process.stdin.isTTY || !process.stdout.isTTY;
+}
+
 /**
  * Validate configuration
  */
@@ -126,6 +202,26 @@ function validateConfig(config) {
     }
   }
 
+  return validateSettings(config);
+}
+
+/**
+ * Validate the restart and process settings
+ */
+function validateSettings(config) {
+  if (config.autoRestart !== undefined && typeof config.autoRestart !== 'boolean'
+    && !RESTART_MODES.includes(config.autoRestart)) {
+    throw new Error(`autoRestart must be one of: ${RESTART_MODES.join(', ')}`);
+  }
+
+  if (config.killSignal !== undefined && !isValidSignal(config.killSignal)) {
+    throw new Error(`Unknown killSignal "${config.killSignal}" (e.g. SIGTERM, SIGINT, SIGUSR2)`);
+  }
+
+  if (config.killTimeout !== undefined && !(typeof config.killTimeout === 'number' && config.killTimeout >= 0)) {
+    throw new Error('killTimeout must be a number of milliseconds (0 or more)');
+  }
+
   return true;
 }
 
@@ -167,7 +263,8 @@ function createConfig(mode, geminiConfig = {}) {
  * Update existing configuration
  */
 function updateConfig(updates) {
-  let config = loadConfig();
+  // Not loadConfig() - the update may be what fixes an invalid file
+  let config = readConfig(getConfigPath());
 
   if (!config) {
     config = getDefaultConfig();
@@ -197,6 +294,7 @@ module.exports = {
   mergeWithDefaults,
   createConfig,
   updateConfig,
+  isNonInteractiveEnvironment,
   CONFIG_FILE,
   HIDDEN_CONFIG_FILE
 };
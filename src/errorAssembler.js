@@ -0,0 +1,224 @@
+/**
+ * errorAssembler.js
+ *
+ * Error block assembler
+ * Buffers child process output line by line and only hands over an error
+ * once its whole block has arrived: the header line, the stack frames and
+ * any cause/[errors]/property sections that follow.
+ * A block ends on a non-frame line or after a quiet period.
+ */
+
+const { isFrameLine, isErrorHeader, isStacklessHeader, isLocationLine } = require('./stackParser');
+
+const DEFAULT_QUIET_PERIOD = 250;
+
+// Source excerpt Node prints between "file:line" and the error header
+const MAX_EXCERPT_LINES = 8;
+
+// Multi-line messages, e.g. "Require stack:" lists for MODULE_NOT_FOUND
+const MAX_MESSAGE_LINES = 20;
+
+function getIndent(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+class ErrorAssembler {
+  /**
+   * @param {object} options
+   * @param {function} options.onError - Called with the text of each complete error block
+   * @param {function} [options.isErrorStart] - Extra check for lines that open a block
+   * @param {number} [options.quietPeriod] - Milliseconds of silence that end a block
+   */
+  constructor(options = {}) {
+    this.onError = options.onError || (() => {});
+    this.isErrorStart = options.isErrorStart || (() => false);
+    this.quietPeriod = options.quietPeriod ?? DEFAULT_QUIET_PERIOD;
+    this.partialLine = '';
+    this.block = null;
+    this.timer = null;
+  }
+
+  /**
+   * Feed a chunk of output
+   */
+  push(text) {
+    const lines = (this.partialLine + text).split(/\r?\n/);
+    this.partialLine = lines.pop();
+
+    lines.forEach(line => this.processLine(line));
+    this.scheduleFlush();
+  }
+
+  /**
+   * Complete whatever is buffered (e.g. when the stream ends)
+   */
+  flush() {
+    this.clearTimer();
+
+    if (this.partialLine) {
+      this.processLine(this.partialLine);
+      this.partialLine = '';
+    }
+
+    if (this.block) {
+      this.completeBlock();
+    }
+  }
+
+  /**
+   * Check if an error block (or an unfinished line) is still buffered
+   */
+  isAssembling() {
+    return Boolean(this.block || this.partialLine);
+  }
+
+  /**
+   * Drop everything buffered without emitting it
+   */
+  reset() {
+    this.clearTimer();
+    this.partialLine = '';
+    this.block = null;
+  }
+
+  /**
+   * Handle a single complete line
+   */
+  processLine(line) {
+    if (this.block) {
+      if (this.continuesBlock(line)) {
+        this.block.lines.push(line);
+
+        // Node's last line for an uncaught error
+        if (/^Node\.js v\d/.test(line.trim())) {
+          this.completeBlock();
+        }
+        return;
+      }
+
+      this.completeBlock();
+    }
+
+    const hasHeader = isErrorHeader(line);
+    const hasLocation = isLocationLine(line);
+
+    if (hasHeader || hasLocation || this.isErrorStart(line)) {
+      this.block = {
+        lines: [line],
+        hasHeader,
+        hasLocation,
+        headerIndent: hasHeader ? getIndent(line) : null,
+        // "[AggregateError: msg] {" has no frames - its properties follow right away
+        framesStarted: hasHeader && isStacklessHeader(line),
+        messageLines: 0
+      };
+    }
+  }
+
+  /**
+   * Check if a line belongs to the block being assembled
+   */
+  continuesBlock(line) {
+    const block = this.block;
+    const trimmed = line.trim();
+
+    if (isFrameLine(line)) {
+      block.framesStarted = true;
+      return true;
+    }
+
+    // Another error at the same level - e.g. the next one in an indented log.
+    // Nested ones ([cause], [errors] members) are indented deeper.
+    if (block.hasHeader && isErrorHeader(line) && getIndent(line) <= block.headerIndent) {
+      return false;
+    }
+
+    if (/^Node\.js v\d/.test(trimmed)) {
+      return true;
+    }
+
+    if (!block.framesStarted) {
+      // Header that follows the source excerpt
+      if (isErrorHeader(line)) {
+        block.hasHeader = true;
+        block.headerIndent = getIndent(line);
+        block.framesStarted = isStacklessHeader(line);
+        return true;
+      }
+
+      // Source excerpt and caret line above the header
+      if (block.hasLocation && !block.hasHeader) {
+        return block.lines.length < MAX_EXCERPT_LINES;
+      }
+
+      // Rest of a multi-line message
+      if (block.hasHeader) {
+        block.messageLines++;
+        return block.messageLines <= MAX_MESSAGE_LINES;
+      }
+
+      return false;
+    }
+
+    // After the frames: [cause]/[errors] sections, error properties,
+    // closing brackets and blank separators
+    return trimmed === '' || /^\s/.test(line) || /^[}\]]/.test(trimmed);
+  }
+
+  /**
+   * Emit the current block
+   */
+  completeBlock() {
+    const text = this.block.lines.join('\n').trim();
+    this.block = null;
+
+    if (text) {
+      this.onError(text);
+    }
+  }
+
+  /**
+   * (Re)start the quiet period timer
+   */
+  scheduleFlush() {
+    this.clearTimer();
+
+    if (!this.block && !this.partialLine) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, this.quietPeriod);
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+/**
+ * Split pasted output (a CI log, a terminal dump) into error blocks
+ * Text without a recognisable error header is returned as a whole
+ *
+ * @returns {string[]} - Error texts, the same error only once
+ */
+function extractErrors(text) {
+  const blocks = [];
+  const assembler = new ErrorAssembler({ onError: block => blocks.push(block) });
+  assembler.push(text);
+  assembler.flush();
+
+  // The same error is often logged more than once
+  const unique = [...new Set(blocks.map(block => block.trim()))];
+  return unique.length ? unique : [text.trim()];
+}
+
+module.exports = {
+  ErrorAssembler,
+  extractErrors
+};
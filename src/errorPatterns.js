@@ -7,21 +7,56 @@
  * Pattern format:
  * {
  *   name: "ERROR_NAME",
+ *   category: "Network",    // optional: groups the pattern in `nodewise patterns list` (default: Other)
  *   match: /regex pattern/,
- *   explain: (error) => "explanation string"
+ *   captures: [/port (?<port>\d+)/i], // optional: more regexes with named groups
+ *   codes: ["EADDRINUSE"],  // optional: error codes this pattern explains, ahead of codeCatalog.js
+ *                           // (default: `match` tests the code)
+ *   modules: ["express"],   // optional: the framework this pattern is about (stack frames, package.json)
+ *   priority: 0,            // optional: added to the score (GENERAL_ERROR uses -100)
+ *   examples: ["Error: listen EADDRINUSE ..."],  // output this pattern must win (at least one)
+ *   counterExamples: ["..."],                     // optional: output it must not win
+ *   explain: (error, captures) => "explanation string"
  * }
+ *
+ * `error` is the structured error object produced by stackParser.parseError()
+ * ({ name, message, code, frames, raw }).
+ *
+ * Named groups in `match` and `captures` are collected into `captures`
+ * (the first regex to capture a name wins), and `{{name}}` placeholders in
+ * the explanation are replaced with them. `{{name|fallback}}` reads well
+ * when nothing was captured: "Port {{port|you're using}} is taken".
+ *
+ * Every pattern whose regex matches is scored by where it matched (the
+ * `code` property, the message, the error class), by the stack frames and
+ * by whether the project depends on the pattern's `modules` (see
+ * useProjectDependencies()), so specific patterns win over broad ones
+ * regardless of array order.
+ * `nodewise patterns test` runs the examples to catch a regex that starts
+ * stealing another pattern's errors, and fails on patterns without any.
  * 
- * Easy to extend: just add more patterns to the array.
- * Can be moved to a database or external config later.
+ * Easy to extend: just add more patterns to the array, or ship them as a
+ * pattern pack (see patternPacks.js) and activate it with usePatternPacks().
  */
 
+const { parseError } = require('./stackParser');
+const { getCatalogPattern } = require('./codeCatalog');
+
 const errorPatterns = [
   // Module and import errors
   {
     name: "MODULE_NOT_FOUND",
-    match: /Cannot find module|MODULE_NOT_FOUND/i,
+    category: "Modules",
+    match: /Cannot find module '(?<module>[^']+)'|MODULE_NOT_FOUND/i,
+    captures: [/Cannot find module '(?<package>(?:@[\w-][\w.-]*\/)?[\w-][\w.-]*)(?=['\/])/],
+    examples: [
+      "Error: Cannot find module 'express'\nRequire stack:\n- /app/server.js\n    at Module._resolveFilename (node:internal/modules/cjs/loader:1140:15) {\n  code: 'MODULE_NOT_FOUND'\n}"
+    ],
+    counterExamples: [
+      "Error [ERR_MODULE_NOT_FOUND]: Cannot find package 'chalk' imported from /app/index.mjs {\n  code: 'ERR_MODULE_NOT_FOUND'\n}"
+    ],
     explain: (error) => `
-This error occurs when you try to import or require a file or package that doesn't exist.
+Node can't find the module {{module|you're trying to import or require}}.
 
 Common causes:
 - Typo in the module name or path
@@ -30,16 +65,21 @@ Common causes:
 
 Solution:
 1. Check the spelling of the module name
-2. If it's a package, run: npm install <package-name>
+2. If it's a package, run: npm install {{package|<package-name>}}
 3. Verify the file path if using relative imports
     `.trim()
   },
 
   {
     name: "REFERENCE_ERROR",
+    category: "JavaScript",
     match: /ReferenceError|is not defined/i,
+    captures: [/(?<variable>[\w$]+) is not defined/],
+    examples: [
+      "ReferenceError: user is not defined\n    at /app/routes.js:12:5"
+    ],
     explain: (error) => `
-You're trying to use a variable that doesn't exist or hasn't been declared.
+You're trying to use {{variable|a variable}}, which doesn't exist or hasn't been declared.
 
 Common causes:
 - Variable name typo
@@ -57,18 +97,30 @@ Solution:
 
   {
     name: "TYPE_ERROR",
+    category: "JavaScript",
     match: /TypeError|Cannot read property|Cannot read properties/i,
+    captures: [
+      /(?:properties|property '(?<property>[^']+)') of (?<value>null|undefined)/,
+      /\(reading '(?<property>[^']+)'\)/,
+      /(?<callee>[\w$.]+) is not a function/
+    ],
+    examples: [
+      "TypeError: Cannot read properties of undefined (reading 'id')\n    at /app/routes.js:8:22"
+    ],
+    counterExamples: [
+      "TypeError: Cannot destructure property 'name' of 'undefined' as it is undefined.\n    at /app/routes.js:3:9"
+    ],
     explain: (error) => `
 You're trying to call a method or access a property on something that doesn't have it.
 
 Common causes:
-- Accessing property on null or undefined
+- Accessing a property on {{value|null or undefined}}
 - Calling a method on non-object type
 - Wrong method name
 
 Solution:
-1. Add null/undefined checks: if (obj && obj.property)
-2. Use optional chaining: obj?.property or obj?.method?.()
+1. Add null/undefined checks: if (obj && obj.{{property|property}})
+2. Use optional chaining: obj?.{{property|property}} or obj?.method?.()
 3. Verify the object has the method you're calling
 4. Check API documentation for correct method names
     `.trim()
@@ -76,7 +128,14 @@ Solution:
 
   {
     name: "SYNTAX_ERROR",
+    category: "JavaScript",
     match: /SyntaxError|Unexpected token|Unexpected identifier/i,
+    examples: [
+      "SyntaxError: Missing ) after argument list\n    at internalCompileFunction (node:internal/vm:76:18)"
+    ],
+    counterExamples: [
+      "SyntaxError: Unexpected token } in JSON at position 10\n    at JSON.parse (<anonymous>)"
+    ],
     explain: (error) => `
 There's a syntax error in your JavaScript code - something is written incorrectly.
 
@@ -96,9 +155,18 @@ Solution:
 
   {
     name: "EADDRINUSE",
+    category: "Network",
     match: /EADDRINUSE|address already in use|Port .* is already in use/i,
+    captures: [
+      /(?:EADDRINUSE|address already in use)\D*?:(?<port>\d+)/i,
+      /\bport:? (?<port>\d+)/i
+    ],
+    examples: [
+      "Error: listen EADDRINUSE: address already in use :::3000\n    at Server.setupListenHandle [as _listen2] (node:net:1817:16) {\n  code: 'EADDRINUSE',\n  port: 3000\n}",
+      "Error: listen EADDRINUSE: address already in use :::3000"
+    ],
     explain: (error) => `
-The port you're trying to bind to is already in use by another process.
+The port {{port|you're trying to bind to}} is already in use by another process.
 
 Common causes:
 - Another instance of your app is running
@@ -107,8 +175,8 @@ Common causes:
 
 Solution:
 1. Find and kill the process using the port:
-   On Mac/Linux: lsof -i :PORT_NUMBER | grep LISTEN | awk '{print $2}' | xargs kill
-   On Windows: netstat -ano | findstr :PORT_NUMBER
+   On Mac/Linux: lsof -i :{{port|PORT_NUMBER}} | grep LISTEN | awk '{print $2}' | xargs kill
+   On Windows: netstat -ano | findstr :{{port|PORT_NUMBER}}
 2. Change port in your code: process.env.PORT || 3000
 3. Use dynamic port: const port = 3000, then increment if in use
     `.trim()
@@ -116,9 +184,14 @@ Solution:
 
   {
     name: "ECONNREFUSED",
+    category: "Network",
     match: /ECONNREFUSED|Connection refused|ECONNREFUSED.*127\.0\.0\.1/i,
+    captures: [/ECONNREFUSED (?<address>\S+:\d+)/],
+    examples: [
+      "Error: connect ECONNREFUSED 127.0.0.1:8080\n    at TCPConnectWrap.afterConnect [as oncomplete] (node:net:1555:16) {\n  code: 'ECONNREFUSED'\n}"
+    ],
     explain: (error) => `
-Connection was refused - the server you're trying to connect to isn't running or listening.
+Connection to {{address|the server}} was refused - nothing is running or listening there.
 
 Common causes:
 - Database server isn't running (MongoDB, PostgreSQL, etc.)
@@ -127,7 +200,7 @@ Common causes:
 - Firewall blocking connection
 
 Solution:
-1. Verify the server is running on the correct port
+1. Verify the server is running and listening on {{address|the correct port}}
 2. Check host and port configuration
 3. Add connection error handling:
    client.on('error', (err) => console.error('Cannot connect'))
@@ -137,9 +210,14 @@ Solution:
 
   {
     name: "EACCES",
+    category: "FS",
     match: /EACCES|permission denied|Error: EACCES/i,
+    captures: [/, \w+ '(?<path>[^']+)'/],
+    examples: [
+      "Error: EACCES: permission denied, open '/etc/app.conf' {\n  code: 'EACCES'\n}"
+    ],
     explain: (error) => `
-Permission denied - you don't have permission to access a file or resource.
+Permission denied - you don't have permission to access {{path|a file or resource}}.
 
 Common causes:
 - Insufficient file permissions
@@ -147,7 +225,7 @@ Common causes:
 - Reading/writing to protected directory
 
 Solution:
-1. Check file/folder permissions: ls -l (Mac/Linux)
+1. Check file/folder permissions: ls -l {{path|<file>}} (Mac/Linux)
 2. Change permissions: chmod +x filename
 3. Run with sudo if necessary (last resort)
 4. Ensure app runs with correct user permissions
@@ -156,9 +234,14 @@ Solution:
 
   {
     name: "ENOENT",
+    category: "FS",
     match: /ENOENT|no such file or directory|ENOENT.*no such file/i,
+    captures: [/, \w+ '(?<path>[^']+)'/],
+    examples: [
+      "Error: ENOENT: no such file or directory, open 'config.json' {\n  code: 'ENOENT'\n}"
+    ],
     explain: (error) => `
-The file or directory you're trying to access doesn't exist.
+The file or directory {{path|you're trying to access}} doesn't exist.
 
 Common causes:
 - Wrong file path
@@ -176,7 +259,11 @@ Solution:
 
   {
     name: "ERR_HTTP_HEADERS_SENT",
+    category: "HTTP",
     match: /ERR_HTTP_HEADERS_SENT|Cannot set headers after they are sent/i,
+    examples: [
+      "Error: Cannot set headers after they are sent to the client\n    at ServerResponse.setHeader (node:_http_outgoing:652:11)"
+    ],
     explain: (error) => `
 You tried to send headers or response twice in the same HTTP request.
 
@@ -196,9 +283,14 @@ Solution:
 
   {
     name: "JSON_PARSE_ERROR",
+    category: "JavaScript",
     match: /JSON\.parse|Unexpected token.*JSON|SyntaxError.*JSON/i,
+    captures: [/Unexpected token (?<token>'[^']*'|\S+)/],
+    examples: [
+      "SyntaxError: Unexpected token } in JSON at position 10\n    at JSON.parse (<anonymous>)"
+    ],
     explain: (error) => `
-The JSON string you're trying to parse is invalid or malformed.
+The JSON string you're trying to parse is invalid or malformed - the parser stopped at {{token|an unexpected character}}.
 
 Common causes:
 - Invalid JSON syntax (trailing commas, missing quotes)
@@ -217,7 +309,11 @@ Solution:
 
   {
     name: "MAXIMUM_CALL_STACK_EXCEEDED",
+    category: "JavaScript",
     match: /Maximum call stack size exceeded|stack overflow|RangeError/i,
+    examples: [
+      "RangeError: Maximum call stack size exceeded\n    at fib (/app/math.js:2:3)"
+    ],
     explain: (error) => `
 Infinite recursion or very deeply nested loops - your function called itself too many times.
 
@@ -237,7 +333,11 @@ Solution:
 
   {
     name: "UNHANDLED_PROMISE_REJECTION",
+    category: "Async",
     match: /UnhandledPromiseRejectionWarning|unhandledRejection|Promise rejection was not handled/i,
+    examples: [
+      "(node:4242) UnhandledPromiseRejectionWarning: Error: boom"
+    ],
     explain: (error) => `
 A Promise was rejected but there's no .catch() handler to handle the error.
 
@@ -258,7 +358,11 @@ Solution:
 
   {
     name: "UNEXPECTED_TOKEN",
+    category: "JavaScript",
     match: /Unexpected token|Unexpected identifier|SyntaxError: Unexpected/i,
+    examples: [
+      "Error: Failed to compile src/App.jsx: SyntaxError: Unexpected token (14:8)\n    at compile (/app/build.js:31:11)"
+    ],
     explain: (error) => `
 The parser encountered unexpected syntax it didn't expect.
 
@@ -278,7 +382,11 @@ Solution:
 
   {
     name: "ECONNRESET",
+    category: "Network",
     match: /ECONNRESET|Connection reset|socket hang up/i,
+    examples: [
+      "Error: socket hang up {\n  code: 'ECONNRESET'\n}"
+    ],
     explain: (error) => `
 The connection was reset - the remote server or client closed the connection unexpectedly.
 
@@ -299,7 +407,16 @@ Solution:
 
   {
     name: "MONGO_NETWORK_ERROR",
+    category: "Database",
     match: /MongoNetworkError|MongoDB server selection failed|getaddrinfo.*mongodb/i,
+    captures: [
+      /connect to server \[(?<address>[^\]]+)\]/,
+      /ECONNREFUSED (?<address>\S+:\d+)/
+    ],
+    modules: ["mongodb", "mongoose"],
+    examples: [
+      "MongoNetworkError: failed to connect to server [localhost:27017] on first connect\n    at Pool.<anonymous> (/app/node_modules/mongodb/lib/core/topologies/server.js:438:11)"
+    ],
     explain: (error) => `
 Cannot connect to MongoDB - network or database connection issue.
 
@@ -311,7 +428,7 @@ Common causes:
 - Wrong credentials
 
 Solution:
-1. Verify MongoDB is running
+1. Verify MongoDB is running at {{address|the configured host}}
 2. Check connection string in .env or config
 3. Ensure IP/hostname is correct and accessible
 4. Add connection retries:
@@ -322,7 +439,12 @@ Solution:
 
   {
     name: "MONGOOSE_VALIDATION_ERROR",
+    category: "Database",
     match: /ValidationError|Mongoose|validation failed|Cast to.*failed/i,
+    modules: ["mongoose"],
+    examples: [
+      "ValidationError: User validation failed: email: Path `email` is required.\n    at model.Document.invalidate (/app/node_modules/mongoose/lib/document.js:3200:32)"
+    ],
     explain: (error) => `
 MongoDB/Mongoose rejected data because it doesn't match your schema definition.
 
@@ -343,9 +465,15 @@ Solution:
 
   {
     name: "EXPRESS_ROUTE_NOT_FOUND",
-    match: /Cannot GET|Cannot POST|Cannot PUT|Cannot DELETE|404.*not found/i,
+    category: "Express",
+    match: /Cannot GET|Cannot POST|Cannot PUT|Cannot DELETE|Cannot PATCH|404.*not found/i,
+    captures: [/Cannot (?<method>GET|POST|PUT|DELETE|PATCH) (?<route>\S+)/i],
+    modules: ["express"],
+    examples: [
+      "Cannot GET /api/users"
+    ],
     explain: (error) => `
-Express couldn't find a route handler that matches this HTTP request.
+Express couldn't find a route handler that matches {{method|this HTTP}} {{route|request}}.
 
 Common causes:
 - Route not defined
@@ -365,7 +493,11 @@ Solution:
 
   {
     name: "CORS_ERROR",
+    category: "HTTP",
     match: /CORS|Access-Control-Allow-Origin|Cross-Origin/i,
+    examples: [
+      "Access to fetch at 'http://localhost:3000/api' from origin 'http://localhost:5173' has been blocked by CORS policy"
+    ],
     explain: (error) => `
 Cross-Origin Resource Sharing (CORS) error - browser blocked request from different domain.
 
@@ -386,7 +518,11 @@ Solution:
 
   {
     name: "RATE_LIMIT_ERROR",
+    category: "HTTP",
     match: /rate limit|too many requests|429|throttle/i,
+    examples: [
+      "Error: Request failed with status code 429 (Too Many Requests)\n    at settle (/app/node_modules/axios/lib/core/settle.js:19:12)"
+    ],
     explain: (error) => `
 You've exceeded the rate limit - too many requests in a short time.
 
@@ -407,7 +543,11 @@ Solution:
 
   {
     name: "MEMORY_LEAK_ERROR",
-    match: /heap out of memory|JavaScript heap out of memory|FATAL/i,
+    category: "Memory",
+    match: /FATAL ERROR:.*heap|Reached heap limit|JavaScript heap out of memory|heap out of memory/i,
+    examples: [
+      "FATAL ERROR: Reached heap limit Allocation failed - JavaScript heap out of memory"
+    ],
     explain: (error) => `
 Node.js ran out of memory - likely a memory leak or insufficient heap allocation.
 
@@ -429,7 +569,11 @@ Solution:
 
   {
     name: "TIMEOUT_ERROR",
+    category: "Async",
     match: /timeout|ETIMEDOUT|timed out|deadline exceeded/i,
+    examples: [
+      "Error: connect ETIMEDOUT 10.0.0.5:443 {\n  code: 'ETIMEDOUT'\n}"
+    ],
     explain: (error) => `
 Operation took too long and was cancelled - timeout exceeded.
 
@@ -451,9 +595,14 @@ Solution:
 
   {
     name: "FILE_ALREADY_EXISTS",
+    category: "FS",
     match: /EEXIST|File already exists|file exists/i,
+    captures: [/, \w+ '(?<path>[^']+)'/],
+    examples: [
+      "Error: EEXIST: file already exists, mkdir 'dist' {\n  code: 'EEXIST'\n}"
+    ],
     explain: (error) => `
-You're trying to create a file that already exists.
+You're trying to create {{path|a file}}, which already exists.
 
 Common causes:
 - Re-running script that creates files
@@ -471,7 +620,11 @@ Solution:
 
   {
     name: "INVALID_ARGUMENT_ERROR",
+    category: "JavaScript",
     match: /ERR_INVALID_ARG_TYPE|ERR_INVALID_ARG|Invalid argument/i,
+    examples: [
+      "Error: EINVAL: invalid argument, open 'C:\\\\app\\\\con' {\n  code: 'EINVAL'\n}"
+    ],
     explain: (error) => `
 You passed an invalid argument to a function - wrong type or value.
 
@@ -492,7 +645,11 @@ Solution:
 
   {
     name: "ENOMEM",
+    category: "Memory",
     match: /ENOMEM|Cannot allocate memory|out of memory/i,
+    examples: [
+      "Error: spawn ENOMEM {\n  code: 'ENOMEM'\n}"
+    ],
     explain: (error) => `
 The system is out of memory - no more memory available.
 
@@ -513,7 +670,11 @@ Solution:
 
   {
     name: "PORT_NOT_NUMERIC",
+    category: "Network",
     match: /port should be >= 0|port is not a number|ERR_SOCKET_BAD_PORT/i,
+    examples: [
+      "options.port should be >= 0 and < 65536. Received type number (70000)."
+    ],
     explain: (error) => `
 The port number is invalid - must be a number between 0 and 65535.
 
@@ -532,7 +693,11 @@ Solution:
 
   {
     name: "ECONNABORTED",
+    category: "Network",
     match: /ECONNABORTED|Connection aborted|socket destroyed/i,
+    examples: [
+      "Error: Connection aborted {\n  code: 'ECONNABORTED'\n}"
+    ],
     explain: (error) => `
 The connection was aborted - closed during communication.
 
@@ -552,7 +717,11 @@ Solution:
 
   {
     name: "EMIT_AFTER_CLOSE",
+    category: "Streams",
     match: /write after end|ERR_STREAM_DESTROYED|Destroyed stream/i,
+    examples: [
+      "Error: write after end\n    at writeAfterEnd (_stream_writable.js:243:12)"
+    ],
     explain: (error) => `
 You're trying to write to a stream that has already been closed/destroyed.
 
@@ -573,7 +742,11 @@ Solution:
 
   {
     name: "REQUIRE_CYCLE",
+    category: "Modules",
     match: /circular.*require|require.*cycle|Cannot find module/i,
+    examples: [
+      "Warning: Require cycle: src/store.js -> src/api.js -> src/store.js\n\nRequire cycles are allowed, but can result in uninitialized values."
+    ],
     explain: (error) => `
 Circular dependency detected - files require each other creating a loop.
 
@@ -592,9 +765,15 @@ Solution:
 
   {
     name: "BUFFER_ENCODING_ERROR",
+    category: "Encoding",
     match: /Unknown encoding|ERR_UNKNOWN_ENCODING|not a valid encoding/i,
+    codes: ["ERR_UNKNOWN_ENCODING"],
+    captures: [/Unknown encoding: (?<encoding>\S+)/i],
+    examples: [
+      "TypeError [ERR_UNKNOWN_ENCODING]: Unknown encoding: utf-9 {\n  code: 'ERR_UNKNOWN_ENCODING'\n}"
+    ],
     explain: (error) => `
-Invalid character encoding specified - not a recognized encoding.
+Invalid character encoding specified - {{encoding|it}} is not a recognized encoding.
 
 Common causes:
 - Typo in encoding name
@@ -611,7 +790,11 @@ Solution:
 
   {
     name: "INVALID_PROTOCOL",
+    category: "Network",
     match: /Invalid protocol|ERR_INVALID_PROTOCOL|protocol.*invalid/i,
+    examples: [
+      "Error: Invalid protocol: ftp:\n    at Request.init (/app/node_modules/request/request.js:458:31)\n    at new Request (/app/node_modules/request/request.js:127:8)"
+    ],
     explain: (error) => `
 Invalid URL protocol specified - must be http:, https:, ftp:, etc.
 
@@ -630,9 +813,19 @@ Solution:
 
   {
     name: "ERR_MODULE_NOT_FOUND",
+    category: "Modules",
     match: /ERR_MODULE_NOT_FOUND|Cannot find.*module|ERR_PACKAGE_PATH_NOT_EXPORTED/i,
+    codes: ["ERR_MODULE_NOT_FOUND"],
+    captures: [
+      /Cannot find (?:package|module) '(?<module>[^']+)'/,
+      /Cannot find package '(?<package>[^']+)'/,
+      /imported from (?<importer>\S+)/
+    ],
+    examples: [
+      "Error [ERR_MODULE_NOT_FOUND]: Cannot find package 'chalk' imported from /app/index.mjs {\n  code: 'ERR_MODULE_NOT_FOUND'\n}"
+    ],
     explain: (error) => `
-The module or export you're trying to import doesn't exist.
+The module or export {{module|you're trying to import}} doesn't exist.
 
 Common causes:
 - Package not installed
@@ -641,7 +834,7 @@ Common causes:
 - Package incompatible with Node version
 
 Solution:
-1. Install missing package: npm install package-name
+1. Install missing package: npm install {{package|package-name}}
 2. Check exact export name: check package.json "exports" field
 3. Use correct import syntax
 4. Verify package version supports your Node version
@@ -650,9 +843,14 @@ Solution:
 
   {
     name: "ERR_SCRIPT_NOT_FOUND",
-    match: /ERR_SCRIPT_NOT_FOUND|npm run.*not found|Unknown script/i,
+    category: "npm",
+    match: /ERR_SCRIPT_NOT_FOUND|npm run.*not found|Missing script|Unknown script/i,
+    captures: [/(?:Missing script|Unknown script):? "?(?<script>[^"\s]+)/i],
+    examples: [
+      "npm ERR! Missing script: \"dev\""
+    ],
     explain: (error) => `
-The npm script you're trying to run doesn't exist in package.json.
+The npm script {{script|you're trying to run}} doesn't exist in package.json.
 
 Common causes:
 - Script not defined in package.json
@@ -661,7 +859,7 @@ Common causes:
 
 Solution:
 1. Check package.json scripts section
-2. Add the script: "start": "node app.js"
+2. Add the script: "{{script|start}}": "node app.js"
 3. Run scripts with: npm run script-name
 4. List available scripts: npm run
     `.trim()
@@ -669,9 +867,14 @@ Solution:
 
   {
     name: "EPERM",
+    category: "FS",
     match: /EPERM|operation not permitted|permission denied/i,
+    captures: [/, \w+ '(?<path>[^']+)'/],
+    examples: [
+      "Error: EPERM: operation not permitted, unlink 'C:\\\\app\\\\log.txt' {\n  code: 'EPERM'\n}"
+    ],
     explain: (error) => `
-Operation not permitted - insufficient permissions for this action.
+Operation not permitted - insufficient permissions to access {{path|this file or resource}}.
 
 Common causes:
 - File/directory permissions too restrictive
@@ -689,9 +892,14 @@ Solution:
 
   {
     name: "EISDIR",
+    category: "FS",
     match: /EISDIR|Illegal operation on a directory|Is a directory/i,
+    captures: [/, \w+ '(?<path>[^']+)'/],
+    examples: [
+      "Error: EISDIR: illegal operation on a directory, read {\n  code: 'EISDIR'\n}"
+    ],
     explain: (error) => `
-You're trying to use a directory where a file is expected, or vice versa.
+{{path|A directory}} was used where a file is expected, or vice versa.
 
 Common causes:
 - Trying to read a directory as file
@@ -707,9 +915,14 @@ Solution:
 
   {
     name: "ENOTDIR",
+    category: "FS",
     match: /ENOTDIR|not a directory|ENOTDIR/i,
+    captures: [/, \w+ '(?<path>[^']+)'/],
+    examples: [
+      "Error: ENOTDIR: not a directory, scandir '/app/index.js' {\n  code: 'ENOTDIR'\n}"
+    ],
     explain: (error) => `
-You're trying to use a file where a directory is expected.
+{{path|A file path}} was used where a directory is expected.
 
 Common causes:
 - Path should point to directory but doesn't
@@ -726,7 +939,11 @@ Solution:
 
   {
     name: "ENVFILE_NOT_FOUND",
+    category: "FS",
     match: /\.env.*not found|no such file.*\.env/i,
+    examples: [
+      "node: /app/.env: not found"
+    ],
     explain: (error) => `
 .env configuration file not found - needed for environment variables.
 
@@ -745,7 +962,11 @@ Solution:
 
   {
     name: "SSL_CERTIFICATE_ERROR",
+    category: "Network",
     match: /SSL|certificate|SSL_ERROR|unable to verify|self signed/i,
+    examples: [
+      "Error: unable to verify the first certificate {\n  code: 'UNABLE_TO_VERIFY_LEAF_SIGNATURE'\n}"
+    ],
     explain: (error) => `
 SSL/TLS certificate error - security certificate issue.
 
@@ -766,7 +987,11 @@ Solution:
 
   {
     name: "HEADER_OVERFLOW",
-    match: /ERR_HTTP_HEADERS_OVERFLOW|Headers overflow|header.*too large/i,
+    category: "HTTP",
+    match: /ERR_HTTP_HEADERS_OVERFLOW|HPE_HEADER_OVERFLOW|Headers? overflow|header.*too large/i,
+    examples: [
+      "Error: Parse Error: Header overflow {\n  code: 'HPE_HEADER_OVERFLOW'\n}"
+    ],
     explain: (error) => `
 HTTP headers exceeded size limit - too much header data.
 
@@ -785,7 +1010,11 @@ Solution:
 
   {
     name: "STREAM_DESTROYED",
-    match: /stream destroyed|Writable stream error|destroyed stream/i,
+    category: "Streams",
+    match: /stream (?:was )?destroyed|Writable stream error|destroyed stream/i,
+    examples: [
+      "Error: stream was destroyed\n    at /app/node_modules/pump/index.js:38:21\n    at /app/download.js:17:5"
+    ],
     explain: (error) => `
 Attempting to use a stream that has been destroyed/closed.
 
@@ -804,9 +1033,15 @@ Solution:
 
   {
     name: "INVALID_URL",
+    category: "Network",
     match: /Invalid URL|ERR_INVALID_URL|URL.*invalid/i,
+    codes: ["ERR_INVALID_URL"],
+    captures: [/input: '(?<input>[^']*)'/],
+    examples: [
+      "TypeError [ERR_INVALID_URL]: Invalid URL {\n  code: 'ERR_INVALID_URL',\n  input: 'localhost:3000'\n}"
+    ],
     explain: (error) => `
-The URL format is invalid or malformed.
+The URL {{input|you passed}} is invalid or malformed.
 
 Common causes:
 - Missing protocol (http://, https://)
@@ -824,7 +1059,11 @@ Solution:
 
   {
     name: "ABORT_CONTROLLER_ERROR",
+    category: "Async",
     match: /AbortError|abort.*signal|signal.*aborted/i,
+    examples: [
+      "AbortError: This operation was aborted\n    at new DOMException (node:internal/per_context/domexception:53:5)"
+    ],
     explain: (error) => `
 Operation was aborted using AbortController signal.
 
@@ -844,7 +1083,11 @@ Solution:
 
   {
     name: "PROCESS_ERROR",
+    category: "Process",
     match: /child process|spawn|fork.*error|ERR_CHILD_PROCESS/i,
+    examples: [
+      "Error: spawn E2BIG\n    at ChildProcess.spawn (node:internal/child_process:421:11) {\n  errno: -7,\n  code: 'E2BIG',\n  syscall: 'spawn'\n}"
+    ],
     explain: (error) => `
 Error spawning or managing a child process.
 
@@ -864,7 +1107,11 @@ Solution:
 
   {
     name: "ASSERTION_ERROR",
+    category: "JavaScript",
     match: /AssertionError|Assert.*failed|assertion.*false/i,
+    examples: [
+      "AssertionError: expected 1 to equal 2\n    at Context.<anonymous> (/app/test/math.test.js:5:22)"
+    ],
     explain: (error) => `
 An assertion failed - a condition you asserted was false when it should be true.
 
@@ -883,7 +1130,11 @@ Solution:
 
   {
     name: "DEPRECATED_API",
+    category: "Runtime",
     match: /DeprecationWarning|deprecated|Deprecation/i,
+    examples: [
+      "(node:4242) [DEP0174] DeprecationWarning: Calling promisify on a function that returns a Promise is likely a mistake."
+    ],
     explain: (error) => `
 You're using an API or feature that's deprecated and will be removed.
 
@@ -903,7 +1154,11 @@ Solution:
 
   {
     name: "UNSAFE_INTEGER",
+    category: "JavaScript",
     match: /unsafe integer|MAX_SAFE_INTEGER|Not a safe integer/i,
+    examples: [
+      "Error: Value 9007199254740993 exceeds Number.MAX_SAFE_INTEGER and would lose precision\n    at parseId (/app/ids.js:6:11)"
+    ],
     explain: (error) => `
 Number exceeds JavaScript's safe integer range (±2^53).
 
@@ -922,7 +1177,11 @@ Solution:
 
   {
     name: "TEMPLATE_LITERAL_ERROR",
-    match: /template|string.*template|backtick/i,
+    category: "JavaScript",
+    match: /template literal|template|string.*template|backtick/i,
+    examples: [
+      "SyntaxError: Unterminated template literal\n    at internalCompileFunction (node:internal/vm:76:18)"
+    ],
     explain: (error) => `
 Error with template literals or string formatting.
 
@@ -940,7 +1199,11 @@ Solution:
 
   {
     name: "ARRAY_OUT_OF_BOUNDS",
+    category: "JavaScript",
     match: /out of range|index out of bounds|RangeError|length/i,
+    examples: [
+      "RangeError: Invalid array length\n    at Array.push (<anonymous>)\n    at /app/queue.js:14:11"
+    ],
     explain: (error) => `
 Array index is out of valid range or operation exceeds array bounds.
 
@@ -959,7 +1222,11 @@ Solution:
 
   {
     name: "DIVISION_BY_ZERO",
+    category: "JavaScript",
     match: /division.*zero|divide.*zero|Infinity|toDo by zero/i,
+    examples: [
+      "Error: Division by zero while computing average price\n    at average (/app/stats.js:9:11)"
+    ],
     explain: (error) => `
 Division by zero encountered - mathematically undefined.
 
@@ -977,7 +1244,11 @@ Solution:
 
   {
     name: "MIXED_CONTENT",
+    category: "HTTP",
     match: /mixed content|https.*http|insecure content/i,
+    examples: [
+      "Mixed Content: The page at 'https://app.example.com/' was loaded over HTTPS, but requested an insecure resource 'http://api.example.com/users'. This request has been blocked; the content must be served over HTTPS."
+    ],
     explain: (error) => `
 HTTPS page is trying to load HTTP content - browser blocks this for security.
 
@@ -995,7 +1266,11 @@ Solution:
 
   {
     name: "ENCODING_MISMATCH",
+    category: "Encoding",
     match: /encoding|charset|UTF-8|BOM|byte order/i,
+    examples: [
+      "Error: Unexpected BOM (byte order mark) at the start of /app/data/users.csv\n    at parseCsv (/app/import.js:21:9)"
+    ],
     explain: (error) => `
 Character encoding mismatch - data in one encoding, expected another.
 
@@ -1014,7 +1289,11 @@ Solution:
 
   {
     name: "LOCK_FILE_ERROR",
+    category: "FS",
     match: /lock|ELOCKED|in use by another|lockfile/i,
+    examples: [
+      "Error: Lock file is already being held\n    at /app/node_modules/proper-lockfile/lib/lockfile.js:68:47 {\n  code: 'ELOCKED',\n  file: '/app/data/db.json'\n}"
+    ],
     explain: (error) => `
 Resource is locked - being used by another process.
 
@@ -1034,7 +1313,11 @@ Solution:
   // NPM and Package Management Errors
   {
     name: "NPM_ERR_PEER_DEP_MISSING",
+    category: "npm",
     match: /peer dep.*missing|unmet peer|WARN compat.*peer/i,
+    examples: [
+      "npm WARN ERESOLVE overriding peer dependency\nnpm WARN unmet peer dependency react@^17.0.0 required by react-beautiful-dnd@13.1.1, but react@18.2.0 is installed"
+    ],
     explain: (error) => `
 A peer dependency is missing but required by a package.
 
@@ -1053,7 +1336,11 @@ Solution:
 
   {
     name: "NPM_AUDIT_VULNERABILITY",
+    category: "npm",
     match: /npm audit|vulnerability|security|high severity|critical/i,
+    examples: [
+      "# npm audit report\n\nsemver  <7.5.2\nSeverity: high\nsemver vulnerable to Regular Expression Denial of Service\n\n3 high severity vulnerabilities"
+    ],
     explain: (error) => `
 Security vulnerability found in dependencies.
 
@@ -1073,7 +1360,11 @@ Solution:
 
   {
     name: "NPM_INSTALL_FAILED",
+    category: "npm",
     match: /npm ERR|install failed|cannot compile|build failed/i,
+    examples: [
+      "npm ERR! code 1\nnpm ERR! path /app/node_modules/bcrypt\nnpm ERR! command failed\nnpm ERR! gyp ERR! build error"
+    ],
     explain: (error) => `
 Package installation failed - typically due to native dependency or build.
 
@@ -1094,7 +1385,11 @@ Solution:
 
   {
     name: "NPM_SHRINKWRAP_CONFLICT",
+    category: "npm",
     match: /shrinkwrap|npm-shrinkwrap|package-lock.*conflict/i,
+    examples: [
+      "npm ERR! Found both npm-shrinkwrap.json and package-lock.json - npm-shrinkwrap.json takes precedence"
+    ],
     explain: (error) => `
 Conflict between npm-shrinkwrap.json and package-lock.json.
 
@@ -1113,7 +1408,11 @@ Solution:
 
   {
     name: "INVALID_PACKAGE_NAME",
-    match: /Invalid package name|package name.*invalid|ERR.*name/i,
+    category: "npm",
+    match: /Invalid package name|package name.*invalid|EINVALIDPACKAGENAME/i,
+    examples: [
+      "npm ERR! code EINVALIDPACKAGENAME\nnpm ERR! Invalid package name \"My App\": name can no longer contain capital letters"
+    ],
     explain: (error) => `
 Package name doesn't meet npm naming requirements.
 
@@ -1135,7 +1434,11 @@ Solution:
   // TypeScript Errors
   {
     name: "TS_COMPILATION_ERROR",
+    category: "TypeScript",
     match: /TypeScript|\.ts.*error|TS\d+|tsc/i,
+    examples: [
+      "src/server.ts(12,7): error TS2322: Type 'string' is not assignable to type 'number'."
+    ],
     explain: (error) => `
 TypeScript compilation error - type checking failed.
 
@@ -1156,9 +1459,14 @@ Solution:
 
   {
     name: "TS_CANNOT_FIND_NAME",
-    match: /Cannot find name|TS2304|not defined/i,
+    category: "TypeScript",
+    match: /TS2304: Cannot find name|Cannot find name|TS2304|not defined/i,
+    captures: [/Cannot find name '(?<name>[^']+)'/],
+    examples: [
+      "src/app.ts(3,1): error TS2304: Cannot find name 'foo'."
+    ],
     explain: (error) => `
-TypeScript can't find a variable, function, or type name.
+TypeScript can't find the name {{name|of a variable, function, or type}}.
 
 Common causes:
 - Type definitions not installed
@@ -1177,9 +1485,14 @@ Solution:
 
   {
     name: "TS_PROPERTY_DOES_NOT_EXIST",
-    match: /has no property|TS2339|Property.*does not exist/i,
+    category: "TypeScript",
+    match: /TS2339: Property.*does not exist|has no property|TS2339|Property.*does not exist/i,
+    captures: [/Property '(?<property>[^']+)' does not exist on type '(?<type>[^']+)'/],
+    examples: [
+      "src/app.ts(5,10): error TS2339: Property 'emial' does not exist on type 'User'."
+    ],
     explain: (error) => `
-Trying to access property that doesn't exist in type.
+Trying to access {{property|a property}} that doesn't exist in {{type|the type}}.
 
 Common causes:
 - Property name typo
@@ -1198,7 +1511,11 @@ Solution:
 
   {
     name: "TS_ARGUMENT_MISMATCH",
-    match: /Argument of type|TS2345|not assignable/i,
+    category: "TypeScript",
+    match: /TS2345: Argument of type|Argument of type|TS2345|not assignable/i,
+    examples: [
+      "src/app.ts(7,7): error TS2345: Argument of type 'string' is not assignable to parameter of type 'number'."
+    ],
     explain: (error) => `
 Function argument type doesn't match expected type.
 
@@ -1220,7 +1537,11 @@ Solution:
   // Promise and Async Errors
   {
     name: "ASYNC_ITERATOR_ERROR",
-    match: /async iterator|for await|Symbol\.asyncIterator/i,
+    category: "Async",
+    match: /async iterator|not async iterable|for await|Symbol\.asyncIterator/i,
+    examples: [
+      "TypeError: stream is not async iterable\n    at readAll (/app/reader.js:5:27)"
+    ],
     explain: (error) => `
 Error with async iterators or for-await loops.
 
@@ -1239,7 +1560,11 @@ Solution:
 
   {
     name: "PROMISE_CONSTRUCTOR_EXECUTOR_ERROR",
-    match: /Promise executor|executor threw/i,
+    category: "Async",
+    match: /Promise executor|executor threw|Promise resolver .* is not a function/i,
+    examples: [
+      "TypeError: Promise resolver undefined is not a function\n    at new Promise (<anonymous>)\n    at /app/db.js:10:10"
+    ],
     explain: (error) => `
 Error thrown in Promise constructor executor function.
 
@@ -1258,7 +1583,11 @@ Solution:
 
   {
     name: "CANNOT_USE_AWAIT_OUTSIDE_ASYNC",
-    match: /await.*outside|not in async|TS1308|Unexpected.*await/i,
+    category: "Async",
+    match: /await is only valid in async|await.*outside|not in async|TS1308|Unexpected.*await/i,
+    examples: [
+      "SyntaxError: await is only valid in async functions and the top level bodies of modules"
+    ],
     explain: (error) => `
 Using await outside async function context.
 
@@ -1278,7 +1607,13 @@ Solution:
   // Database Errors
   {
     name: "POSTGRES_CONNECTION_ERROR",
+    category: "Database",
     match: /postgres|postgresql|ECONNREFUSED.*5432|pg error/i,
+    captures: [/ECONNREFUSED (?<address>\S+:\d+)/],
+    modules: ["pg", "postgres"],
+    examples: [
+      "Error: connect ECONNREFUSED 127.0.0.1:5432\n    at TCPConnectWrap.afterConnect [as oncomplete] (node:net:1555:16)\n    at Client._connect (/app/node_modules/pg/lib/client.js:132:11) {\n  code: 'ECONNREFUSED'\n}"
+    ],
     explain: (error) => `
 Cannot connect to PostgreSQL database.
 
@@ -1289,7 +1624,7 @@ Common causes:
 - Connection pool exhausted
 
 Solution:
-1. Verify PostgreSQL running: brew services list
+1. Verify PostgreSQL is running at {{address|the configured host}}: brew services list
 2. Check connection string in env
 3. Default port is 5432
 4. Verify user/password correct
@@ -1299,7 +1634,13 @@ Solution:
 
   {
     name: "REDIS_CONNECTION_ERROR",
+    category: "Database",
     match: /redis|ECONNREFUSED.*6379|redis error|ERR unknown command/i,
+    captures: [/ECONNREFUSED (?<address>\S+:\d+)/],
+    modules: ["redis", "ioredis"],
+    examples: [
+      "Error: connect ECONNREFUSED 127.0.0.1:6379\n    at TCPConnectWrap.afterConnect [as oncomplete] (node:net:1555:16)\n    at Redis.connect (/app/node_modules/ioredis/built/Redis.js:121:9) {\n  code: 'ECONNREFUSED'\n}"
+    ],
     explain: (error) => `
 Cannot connect to or communicate with Redis.
 
@@ -1311,7 +1652,7 @@ Common causes:
 
 Solution:
 1. Start Redis: redis-server
-2. Check port 6379 is listening
+2. Check Redis is listening on {{address|port 6379}}
 3. Verify Redis CLI works: redis-cli
 4. Check command syntax in docs
 5. Clear cache if corrupted: FLUSHALL
@@ -1320,7 +1661,12 @@ Solution:
 
   {
     name: "MYSQL_CONNECTION_ERROR",
+    category: "Database",
     match: /mysql|PROTOCOL_CONNECTION_LOST|PROTOCOL_ENQUEUE_AFTER_FATAL_ERROR/i,
+    modules: ["mysql", "mysql2"],
+    examples: [
+      "Error: Connection lost: The server closed the connection. {\n  code: 'PROTOCOL_CONNECTION_LOST'\n}"
+    ],
     explain: (error) => `
 MySQL connection failed or lost.
 
@@ -1341,7 +1687,12 @@ Solution:
 
   {
     name: "DYNAMODB_ERROR",
+    category: "Database",
     match: /DynamoDB|ResourceNotFoundException|ValidationException|AWS|dynamodb/i,
+    modules: ["aws-sdk", "@aws-sdk/client-dynamodb"],
+    examples: [
+      "ResourceNotFoundException: Requested resource not found\n    at throwDefaultError (/app/node_modules/@smithy/smithy-client/dist-cjs/index.js:838:20)\n    at /app/node_modules/@aws-sdk/client-dynamodb/dist-cjs/index.js:2156:13"
+    ],
     explain: (error) => `
 AWS DynamoDB operation failed.
 
@@ -1363,7 +1714,11 @@ Solution:
   // Regex Errors
   {
     name: "REGEX_SYNTAX_ERROR",
+    category: "JavaScript",
     match: /Invalid regular expression|regex.*error|regex.*invalid|unterminated/i,
+    examples: [
+      "SyntaxError: Invalid regular expression: /(/: Unterminated group\n    at new RegExp (<anonymous>)"
+    ],
     explain: (error) => `
 Invalid regular expression pattern.
 
@@ -1384,7 +1739,11 @@ Solution:
 
   {
     name: "REGEX_CATASTROPHIC_BACKTRACKING",
+    category: "JavaScript",
     match: /backtrack|catastrophic|hangs|freezes|regex.*slow/i,
+    examples: [
+      "Error: Regex took 5003ms on a 40kB input - possible catastrophic backtracking in EMAIL_REGEX\n    at validateEmail (/app/validate.js:7:9)"
+    ],
     explain: (error) => `
 Regex pattern causes catastrophic backtracking - very slow.
 
@@ -1405,7 +1764,11 @@ Solution:
   // Security Errors
   {
     name: "SQL_INJECTION_WARNING",
+    category: "Security",
     match: /SQL injection|sql.*dangerous|unsafe sql|concatenat.*query/i,
+    examples: [
+      "Warning: possible SQL injection in /app/users.js:22 - user input concatenated into SQL"
+    ],
     explain: (error) => `
 SQL injection vulnerability detected - using unsanitized user input in SQL.
 
@@ -1425,7 +1788,11 @@ Solution:
 
   {
     name: "XSS_VULNERABILITY",
+    category: "Security",
     match: /XSS|cross.?site.*scripting|innerHTML|dangerouslySetInnerHTML/i,
+    examples: [
+      "Warning: Possible XSS - unescaped user input assigned to innerHTML in /app/public/comments.js:14"
+    ],
     explain: (error) => `
 Cross-site scripting (XSS) vulnerability - unsanitized HTML injection risk.
 
@@ -1446,7 +1813,11 @@ Solution:
 
   {
     name: "SENSITIVE_DATA_EXPOSURE",
+    category: "Security",
     match: /password|api.?key|secret|token.*log|hardcoded|credentials/i,
+    examples: [
+      "Warning: hardcoded credentials found in /app/config.js:3 (AWS_SECRET_ACCESS_KEY)"
+    ],
     explain: (error) => `
 Sensitive data exposed in logs or code.
 
@@ -1468,7 +1839,12 @@ Solution:
   // Express/Web Framework Errors
   {
     name: "EXPRESS_MIDDLEWARE_ERROR",
+    category: "Express",
     match: /middleware|app\.use|Express.*middleware|next.*not.*called/i,
+    modules: ["express"],
+    examples: [
+      "Error: Express middleware 'loadUser' failed for GET /profile\n    at loadUser (/app/middleware/user.js:12:11)\n    at Layer.handle [as handle_request] (/app/node_modules/express/lib/router/layer.js:95:5)"
+    ],
     explain: (error) => `
 Express middleware error - typically not calling next().
 
@@ -1489,7 +1865,12 @@ Solution:
 
   {
     name: "NEXT_JS_HYDRATION_ERROR",
+    category: "Frameworks",
     match: /hydration|hydratation.*mismatch|useEffect|window.*undefined/i,
+    modules: ["next", "react-dom"],
+    examples: [
+      "Error: Hydration failed because the initial UI does not match what was rendered on the server."
+    ],
     explain: (error) => `
 Next.js hydration mismatch - server and client render different HTML.
 
@@ -1510,7 +1891,12 @@ Solution:
 
   {
     name: "NEST_JS_DEPENDENCY_ERROR",
-    match: /NestJS|Cannot resolve dependency|Nest.*error|@Injectable/i,
+    category: "Frameworks",
+    match: /NestJS|Nest can't resolve dependencies|Cannot resolve dependency|Nest.*error|@Injectable/i,
+    modules: ["@nestjs/core"],
+    examples: [
+      "Error: Nest can't resolve dependencies of the UsersService (?). Please make sure that the argument UsersRepository at index [0] is available in the UsersModule context."
+    ],
     explain: (error) => `
 NestJS dependency injection failed - can't resolve a dependency.
 
@@ -1532,7 +1918,12 @@ Solution:
   // Encoding Errors
   {
     name: "ICONV_ENCODING_ERROR",
+    category: "Encoding",
     match: /iconv|encoding.*fail|decode.*error|encode.*error/i,
+    modules: ["iconv-lite"],
+    examples: [
+      "Error: Encoding not recognized: 'latin-9' (searched as: 'latin9')\n    at Object.getCodec (/app/node_modules/iconv-lite/lib/index.js:104:23)\n    at Object.decode (/app/node_modules/iconv-lite/lib/index.js:40:23)"
+    ],
     explain: (error) => `
 Character encoding conversion failed.
 
@@ -1552,7 +1943,11 @@ Solution:
 
   {
     name: "UTF8_SURROGATE_ERROR",
+    category: "Encoding",
     match: /surrogate|UTF-16.*surrogate|encoded.*invalid/i,
+    examples: [
+      "URIError: URI malformed - lone surrogate in encoded string\n    at encodeURIComponent (<anonymous>)"
+    ],
     explain: (error) => `
 Invalid UTF-8 surrogate pair in text encoding.
 
@@ -1573,7 +1968,11 @@ Solution:
   // Performance Errors
   {
     name: "PERFORMANCE_MEMORY_WARNING",
+    category: "Memory",
     match: /memory usage|heap|garbage collection|V8|memory pressure/i,
+    examples: [
+      "Warning: memory usage is at 92% of the heap limit (1.9 GB of 2.0 GB)"
+    ],
     explain: (error) => `
 Memory usage warning - application using too much heap.
 
@@ -1594,7 +1993,11 @@ Solution:
 
   {
     name: "SLOW_QUERY_WARNING",
+    category: "Database",
     match: /slow query|query.*slow|milliseconds.*exceeded|threshold/i,
+    examples: [
+      "Warning: slow query took 4821ms (threshold 1000ms): SELECT * FROM orders WHERE customer_id = $1"
+    ],
     explain: (error) => `
 Database query is slow and exceeds threshold.
 
@@ -1615,7 +2018,11 @@ Solution:
 
   {
     name: "EVENT_EMITTER_MEMORY_LEAK",
+    category: "Memory",
     match: /EventEmitter|memory leak|listener.*leak|removeListener|maxListeners/i,
+    examples: [
+      "(node:4242) MaxListenersExceededWarning: Possible EventEmitter memory leak detected. 11 request listeners added to [Server]. Use emitter.setMaxListeners() to increase limit"
+    ],
     explain: (error) => `
 Event emitter accumulating listeners causing memory leak.
 
@@ -1636,7 +2043,11 @@ Solution:
   // Stream Errors
   {
     name: "STREAM_BACKPRESSURE_ERROR",
+    category: "Streams",
     match: /stream.*backpressure|pipe.*drain|writable.*end|high water mark/i,
+    examples: [
+      "Warning: stream backpressure ignored - write() returned false but writing continued past the high water mark"
+    ],
     explain: (error) => `
 Stream backpressure not handled - writing faster than reading.
 
@@ -1656,7 +2067,11 @@ Solution:
 
   {
     name: "STREAM_ENCODING_ERROR",
+    category: "Streams",
     match: /stream.*encoding|setEncoding|encoding.*stream/i,
+    examples: [
+      "TypeError: readable.setEncoding is not a function\n    at /app/upload.js:18:10"
+    ],
     explain: (error) => `
 Stream encoding configuration error.
 
@@ -1676,7 +2091,11 @@ Solution:
   // OS and System Errors
   {
     name: "ESRCH_PROCESS_NOT_FOUND",
+    category: "Process",
     match: /ESRCH|no such process|process.*not.*found/i,
+    examples: [
+      "Error: kill ESRCH {\n  code: 'ESRCH'\n}"
+    ],
     explain: (error) => `
 Process specified doesn't exist or has already exited.
 
@@ -1695,7 +2114,11 @@ Solution:
 
   {
     name: "EAGAIN_TRY_AGAIN",
+    category: "Process",
     match: /EAGAIN|try again|temporarily unavailable|resource temporarily/i,
+    examples: [
+      "Error: EAGAIN: resource temporarily unavailable, read {\n  code: 'EAGAIN'\n}"
+    ],
     explain: (error) => `
 Operation temporarily unavailable - try again later.
 
@@ -1715,7 +2138,11 @@ Solution:
   // File System Advanced Errors
   {
     name: "FILE_DESCRIPTOR_LIMIT",
+    category: "FS",
     match: /EMFILE|too many open files|ulimit/i,
+    examples: [
+      "Error: EMFILE: too many open files, open '/app/data/1.json' {\n  code: 'EMFILE'\n}"
+    ],
     explain: (error) => `
 Hit system limit for open file descriptors.
 
@@ -1735,7 +2162,11 @@ Solution:
 
   {
     name: "SYMBOLIC_LINK_ERROR",
+    category: "FS",
     match: /symbolic link|symlink|ELOOP|too many.*link|circular.*link/i,
+    examples: [
+      "Error: ELOOP: too many symbolic links encountered, stat '/app/link' {\n  code: 'ELOOP'\n}"
+    ],
     explain: (error) => `
 Error with symbolic links - circular reference or too many levels.
 
@@ -1755,7 +2186,11 @@ Solution:
 
   {
     name: "FILE_ALREADY_IN_USE",
+    category: "FS",
     match: /EBUSY|file.*in use|already.*use|busy|open by another/i,
+    examples: [
+      "Error: EBUSY: resource busy or locked, rename 'app.db' {\n  code: 'EBUSY'\n}"
+    ],
     explain: (error) => `
 File is currently in use by another process.
 
@@ -1776,7 +2211,11 @@ Solution:
   // Buffer Errors
   {
     name: "BUFFER_OUT_OF_BOUNDS",
+    category: "Encoding",
     match: /Buffer.*out of bounds|offset.*out|Buffer overflow|offset is out/i,
+    examples: [
+      "RangeError: Offset is outside the bounds of the DataView\n    at DataView.getUint32 (<anonymous>)\n    at readHeader (/app/parser.js:12:20)"
+    ],
     explain: (error) => `
 Buffer operation attempted outside valid range.
 
@@ -1796,7 +2235,11 @@ Solution:
 
   {
     name: "BUFFER_ENCODING_WRITE_ERROR",
+    category: "Encoding",
     match: /write.*encoding|encoding.*write|invalid.*encoding.*buffer/i,
+    examples: [
+      "TypeError: Unknown encoding passed to buf.write: utf-16\n    at Buffer.write (node:buffer:1072:13)"
+    ],
     explain: (error) => `
 Buffer write failed due to encoding issue.
 
@@ -1817,7 +2260,11 @@ Solution:
   // Crypto Errors
   {
     name: "CRYPTO_ALGORITHM_ERROR",
+    category: "Crypto",
     match: /crypto|cipher.*unknown|algorithm.*unknown|invalid.*algorithm/i,
+    examples: [
+      "Error: Invalid digest algorithm: sha-256\n    at Hash (node:internal/crypto/hash:69:19)\n    at Object.createHash (node:crypto:133:10)"
+    ],
     explain: (error) => `
 Invalid or unsupported cryptographic algorithm.
 
@@ -1837,7 +2284,11 @@ Solution:
 
   {
     name: "CRYPTO_KEY_ERROR",
-    match: /key.*invalid|key.*error|EVP_.*error|private key|public key/i,
+    category: "Crypto",
+    match: /key.*invalid|key.*error|EVP_.*error|private key|public key|(?:DECODER|PEM) routines/i,
+    examples: [
+      "Error: error:1E08010C:DECODER routines::unsupported\n    at createPrivateKey (node:internal/crypto/keys:620:12)\n    at /app/auth.js:9:22 {\n  library: 'DECODER routines',\n  reason: 'unsupported',\n  code: 'ERR_OSSL_UNSUPPORTED'\n}"
+    ],
     explain: (error) => `
 Cryptographic key is invalid or incorrectly formatted.
 
@@ -1859,7 +2310,11 @@ Solution:
   // Cluster Errors
   {
     name: "CLUSTER_FORK_ERROR",
+    category: "Process",
     match: /cluster|fork.*failed|worker.*failed|clusters/i,
+    examples: [
+      "Error: cluster worker 3 failed to start: exited with code 1 before listening\n    at Worker.<anonymous> (/app/cluster.js:22:13)"
+    ],
     explain: (error) => `
 Node.js cluster worker failed to fork or initialize.
 
@@ -1880,7 +2335,11 @@ Solution:
   // Worker Threads Errors
   {
     name: "WORKER_THREAD_ERROR",
+    category: "Process",
     match: /Worker|worker.*thread|ERR_WORKER_INVALID_EXEC_ARGV/i,
+    examples: [
+      "TypeError [ERR_WORKER_INVALID_EXEC_ARGV]: Initiated Worker with invalid execArgv flags: --inspect {\n  code: 'ERR_WORKER_INVALID_EXEC_ARGV'\n}"
+    ],
     explain: (error) => `
 Error in worker thread creation or execution.
 
@@ -1901,7 +2360,11 @@ Solution:
   // Crypto Key Pair Errors
   {
     name: "RSA_KEY_GENERATION_ERROR",
+    category: "Crypto",
     match: /RSA|key pair|generation.*error|bits.*invalid/i,
+    examples: [
+      "Error: RSA key pair generation failed: bits must be at least 2048 for RS256\n    at generateKeys (/app/keys.js:7:11)"
+    ],
     explain: (error) => `
 RSA key pair generation failed.
 
@@ -1922,7 +2385,11 @@ Solution:
   // HTTP2 Errors
   {
     name: "HTTP2_ERROR",
+    category: "HTTP",
     match: /HTTP\/2|http2|ERR_HTTP2.*|h2 error/i,
+    examples: [
+      "Error [ERR_HTTP2_STREAM_ERROR]: Stream closed with error code NGHTTP2_REFUSED_STREAM {\n  code: 'ERR_HTTP2_STREAM_ERROR'\n}"
+    ],
     explain: (error) => `
 HTTP/2 protocol error.
 
@@ -1943,9 +2410,14 @@ Solution:
   // DNS Errors
   {
     name: "DNS_LOOKUP_ERROR",
+    category: "Network",
     match: /DNS|ENOTFOUND|getaddrinfo|ENETUNREACH|EHOSTUNREACH/i,
+    captures: [/(?:ENOTFOUND|EAI_AGAIN) (?<hostname>\S+)/],
+    examples: [
+      "Error: getaddrinfo ENOTFOUND api.example.com {\n  code: 'ENOTFOUND'\n}"
+    ],
     explain: (error) => `
-DNS lookup failed - cannot resolve hostname.
+DNS lookup failed - cannot resolve {{hostname|the hostname}}.
 
 Common causes:
 - Hostname doesn't exist
@@ -1955,7 +2427,7 @@ Common causes:
 
 Solution:
 1. Check hostname spelling
-2. Verify DNS is working: nslookup
+2. Verify DNS is working: nslookup {{hostname|<hostname>}}
 3. Add error handling: dns.lookup(...)
 4. Use fallback DNS: 8.8.8.8
 5. Check network connectivity
@@ -1965,7 +2437,11 @@ Solution:
   // Child Process Errors
   {
     name: "CHILD_PROCESS_TIMEOUT",
+    category: "Process",
     match: /child.*timeout|spawn.*error|exec.*timeout|timeout.*process/i,
+    examples: [
+      "Error: Command failed: ./scripts/build.sh\nexec timeout: process killed after 30000ms\n    at ChildProcess.exithandler (node:child_process:422:12) {\n  killed: true,\n  signal: 'SIGTERM'\n}"
+    ],
     explain: (error) => `
 Child process operation timed out.
 
@@ -1986,7 +2462,11 @@ Solution:
   // Array/Object Errors
   {
     name: "SPREAD_OPERATOR_ERROR",
+    category: "JavaScript",
     match: /spread|\.\.\.|\.\.\.|spread.*iterable|not iterable/i,
+    examples: [
+      "TypeError: Spread syntax requires ...iterable[Symbol.iterator] to be a function\n    at mergeItems (/app/cart.js:6:20)"
+    ],
     explain: (error) => `
 Spread operator error - trying to spread non-iterable.
 
@@ -2006,7 +2486,11 @@ Solution:
 
   {
     name: "DESTRUCTURING_ERROR",
+    category: "JavaScript",
     match: /destructuring|destructur.*error|cannot destructure|destructure.*null/i,
+    examples: [
+      "TypeError: Cannot destructure property 'name' of 'undefined' as it is undefined.\n    at /app/routes.js:3:9"
+    ],
     explain: (error) => `
 Object/array destructuring failed.
 
@@ -2027,7 +2511,11 @@ Solution:
   // WeakMap/WeakSet Errors
   {
     name: "WEAKMAP_ERROR",
+    category: "JavaScript",
     match: /WeakMap|WeakSet|weak.*map|weak.*set|Invalid.*value/i,
+    examples: [
+      "TypeError: Invalid value used as weak map key\n    at WeakMap.set (<anonymous>)\n    at cache (/app/memo.js:4:9)"
+    ],
     explain: (error) => `
 WeakMap or WeakSet operation error.
 
@@ -2048,7 +2536,11 @@ Solution:
   // Proxy Errors
   {
     name: "PROXY_ERROR",
+    category: "JavaScript",
     match: /Proxy|trap.*invalid|proxy.*invalid|invariant violation/i,
+    examples: [
+      "TypeError: 'set' on proxy: trap returned falsish for property 'name'\n    at /app/store.js:18:15"
+    ],
     explain: (error) => `
 Proxy trap or Proxy invariant validation failed.
 
@@ -2069,7 +2561,11 @@ Solution:
   // Generator Errors
   {
     name: "GENERATOR_ERROR",
+    category: "JavaScript",
     match: /generator|function\*|yield|next\(\)|generator.*ended/i,
+    examples: [
+      "TypeError: Generator is already running\n    at Generator.next (<anonymous>)\n    at /app/tasks.js:11:8"
+    ],
     explain: (error) => `
 Error in generator function or generator iteration.
 
@@ -2090,7 +2586,12 @@ Solution:
   // JSON Schema Errors
   {
     name: "JSON_SCHEMA_VALIDATION_ERROR",
+    category: "JavaScript",
     match: /schema|validation.*failed|schema.*error|ajv|not valid/i,
+    modules: ["ajv"],
+    examples: [
+      "Error: schema is invalid: data/properties/age/type must be equal to one of the allowed values\n    at Ajv.validateSchema (/app/node_modules/ajv/dist/core.js:266:23)"
+    ],
     explain: (error) => `
 JSON schema validation failed.
 
@@ -2112,7 +2613,11 @@ Solution:
   // Certificate Chain Errors
   {
     name: "CERTIFICATE_CHAIN_ERROR",
+    category: "Network",
     match: /certificate.*chain|unable to verify.*chain|depth zero|cert.*chain/i,
+    examples: [
+      "Error: unable to verify the first certificate in the certificate chain\n    at TLSSocket.onConnectSecure (node:_tls_wrap:1674:34) {\n  code: 'UNABLE_TO_VERIFY_LEAF_SIGNATURE'\n}"
+    ],
     explain: (error) => `
 SSL certificate chain validation failed.
 
@@ -2134,7 +2639,11 @@ Solution:
   // International Domain Names
   {
     name: "IDNA_ERROR",
+    category: "Network",
     match: /IDNA|punycode|domain.*format|internationalized.*domain/i,
+    examples: [
+      "Error: Invalid IDNA domain name: xn--a-ecp.example (punycode decoding failed)"
+    ],
     explain: (error) => `
 International domain name (IDN) encoding error.
 
@@ -2155,7 +2664,11 @@ Solution:
   // Path Traversal Errors
   {
     name: "PATH_TRAVERSAL_ATTEMPT",
+    category: "Security",
     match: /path.*traversal|\.\.\/|directory traversal|path.*escape|sanitize/i,
+    examples: [
+      "Error: Path traversal attempt blocked: ../../etc/passwd escapes the upload directory\n    at resolveUpload (/app/files.js:15:11)"
+    ],
     explain: (error) => `
 Path traversal attack or suspicious path detected.
 
@@ -2176,7 +2689,11 @@ Solution:
   // Date/Time Errors
   {
     name: "DATE_TIMEZONE_ERROR",
+    category: "JavaScript",
     match: /timezone|time.?zone|offset.*invalid|IANA.*timezone/i,
+    examples: [
+      "RangeError: Invalid time zone specified: America/Sao Paolo\n    at new DateTimeFormat (<anonymous>)\n    at formatDate (/app/dates.js:5:10)"
+    ],
     explain: (error) => `
 Date or timezone conversion error.
 
@@ -2197,7 +2714,11 @@ Solution:
   // Atomicity/Transaction Errors
   {
     name: "TRANSACTION_ERROR",
+    category: "Database",
     match: /transaction|commit.*failed|rollback|ACID|isolation/i,
+    examples: [
+      "Error: Transaction commit failed: the transaction was rolled back\n    at Transaction.commit (/app/db/tx.js:41:15)"
+    ],
     explain: (error) => `
 Database transaction failed or rolled back.
 
@@ -2219,7 +2740,11 @@ Solution:
   // Compression Errors
   {
     name: "COMPRESSION_ERROR",
+    category: "Streams",
     match: /gzip|deflate|brotli|compress.*error|decompress.*error|zlib/i,
+    examples: [
+      "Error: incorrect header check\n    at Zlib.zlibOnError [as onerror] (node:zlib:189:17) {\n  errno: -3,\n  code: 'Z_DATA_ERROR'\n}"
+    ],
     explain: (error) => `
 Compression or decompression failed.
 
@@ -2241,7 +2766,11 @@ Solution:
   // OpenSSL Errors
   {
     name: "OPENSSL_ERROR",
+    category: "Crypto",
     match: /OpenSSL|libssl|error in.*library|engine|OPENSSLDIR/i,
+    examples: [
+      "Error: error:25066067:DSO support routines:dlfcn_load:could not load the shared library - OpenSSL engine 'pkcs11' not available"
+    ],
     explain: (error) => `
 OpenSSL library error - usually cryptographic operation failed.
 
@@ -2262,7 +2791,11 @@ Solution:
   // Memory Safety Errors
   {
     name: "MEMORY_ACCESS_VIOLATION",
+    category: "Memory",
     match: /segmentation fault|SIGSEGV|access violation|crash/i,
+    examples: [
+      "Segmentation fault (core dumped) - received SIGSEGV in native module /app/node_modules/sharp/build/Release/sharp.node"
+    ],
     explain: (error) => `
 Segmentation fault - memory access violation.
 
@@ -2284,7 +2817,11 @@ Solution:
   // WASM Errors
   {
     name: "WASM_ERROR",
+    category: "Runtime",
     match: /WASM|WebAssembly|wasm.*error|compiled code|table.*element/i,
+    examples: [
+      "CompileError: WebAssembly.instantiate(): expected magic word 00 61 73 6d, found 3c 21 44 4f @+0\n    at /app/loadWasm.js:8:40"
+    ],
     explain: (error) => `
 WebAssembly execution error.
 
@@ -2306,7 +2843,11 @@ Solution:
   // V8 Snapshot Errors
   {
     name: "SNAPSHOT_ERROR",
+    category: "Runtime",
     match: /snapshot|v8.*snapshot|serialize|binary.*snapshot/i,
+    examples: [
+      "Error: Failed to deserialize the V8 startup snapshot blob: snapshot was built by a different Node.js version"
+    ],
     explain: (error) => `
 V8 snapshot creation or loading failed.
 
@@ -2327,7 +2868,11 @@ Solution:
   // Intl Errors
   {
     name: "INTL_ERROR",
+    category: "JavaScript",
     match: /Intl|internationalization|locale|collation|intl.*error/i,
+    examples: [
+      "RangeError: Incorrect locale information provided\n    at Intl.DateTimeFormat (<anonymous>)\n    at formatPrice (/app/format.js:3:10)"
+    ],
     explain: (error) => `
 Internationalization (Intl) API error.
 
@@ -2348,7 +2893,12 @@ Solution:
   // Express.js Specific Errors
   {
     name: "EXPRESS_INVALID_STATUS_CODE",
+    category: "Express",
     match: /invalid status code|status.*not.*number|ERR_HTTP_INVALID_STATUS_CODE/i,
+    modules: ["express"],
+    examples: [
+      "RangeError: Invalid status code: \"200\". Status code must be an integer.\n    at ServerResponse.status (/app/node_modules/express/lib/response.js:71:11)\n    at /app/routes/users.js:14:21"
+    ],
     explain: (error) => `
 Express status code is invalid - must be a number between 100-599.
 
@@ -2367,7 +2917,12 @@ Solution:
 
   {
     name: "EXPRESS_RESPONSE_ALREADY_SENT",
+    category: "Express",
     match: /response already.*sent|Cannot.*headers after sent|res\.send.*twice/i,
+    modules: ["express"],
+    examples: [
+      "Error: Response already sent - res.send called twice for GET /users\n    at ServerResponse.send (/app/node_modules/express/lib/response.js:170:12)\n    at /app/routes/users.js:20:9"
+    ],
     explain: (error) => `
 Trying to send response twice or set headers after response started.
 
@@ -2385,30 +2940,14 @@ Solution:
     `.trim()
   },
 
-  {
-    name: "EXPRESS_ROUTE_NOT_FOUND",
-    match: /Cannot GET|Cannot POST|Cannot PUT|Cannot DELETE|Cannot PATCH|404.*not found/i,
-    explain: (error) => `
-Express route handler not found - no matching route defined.
-
-Common causes:
-- Route path doesn't exist
-- Wrong HTTP method (GET vs POST)
-- Route path typo
-- Route registered after error middleware
-
-Solution:
-1. Verify route exists: app.get('/path', ...)
-2. Check HTTP method matches request
-3. Use app.all('*') for catch-all 404
-4. Place 404 handler last in middleware chain
-5. Check route path spelling
-    `.trim()
-  },
-
   {
     name: "EXPRESS_MIDDLEWARE_NOT_CALLED_NEXT",
+    category: "Express",
     match: /middleware.*next|hanging request|request.*timeout.*middleware|next.*not.*called/i,
+    modules: ["express"],
+    examples: [
+      "Error: Request timeout in middleware - next() was not called for GET /orders\n    at Timeout._onTimeout (/app/node_modules/express/lib/router/index.js:280:7)"
+    ],
     explain: (error) => `
 Middleware didn't call next() and didn't send response.
 
@@ -2428,7 +2967,12 @@ Solution:
 
   {
     name: "EXPRESS_INVALID_MIDDLEWARE",
-    match: /middleware.*not.*function|middleware.*must.*function|app\.use.*function/i,
+    category: "Express",
+    match: /requires a middleware function|middleware.*not.*function|middleware.*must.*function|app\.use.*function/i,
+    modules: ["express"],
+    examples: [
+      "TypeError: Router.use() requires a middleware function but got a Object\n    at Function.use (/app/node_modules/express/lib/router/index.js:469:13)"
+    ],
     explain: (error) => `
 Middleware is not a function - must be a valid function.
 
@@ -2447,7 +2991,12 @@ Solution:
 
   {
     name: "EXPRESS_BODY_PARSER_ERROR",
+    category: "Express",
     match: /body.?parser|payload.*too.*large|request.*entity.*too.*large|413/i,
+    modules: ["body-parser", "express"],
+    examples: [
+      "PayloadTooLargeError: request entity too large\n    at readStream (/app/node_modules/raw-body/index.js:156:17)"
+    ],
     explain: (error) => `
 Request body exceeds size limit set in body parser.
 
@@ -2467,7 +3016,12 @@ Solution:
 
   {
     name: "EXPRESS_INVALID_JSON",
+    category: "Express",
     match: /invalid json|malformed.*json|body.*parser.*json|SyntaxError.*JSON/i,
+    modules: ["body-parser", "express"],
+    examples: [
+      "SyntaxError: Unexpected token } in JSON at position 24\n    at JSON.parse (<anonymous>)\n    at parse (/app/node_modules/body-parser/lib/types/json.js:89:19)\n    at /app/node_modules/body-parser/lib/read.js:121:18 {\n  status: 400,\n  type: 'entity.parse.failed'\n}"
+    ],
     explain: (error) => `
 Request body contains invalid JSON.
 
@@ -2488,7 +3042,12 @@ Solution:
 
   {
     name: "EXPRESS_CORS_DISABLED",
-    match: /CORS.*not.*enabled|no access.*control.*allow.*origin|can't access|cross.?origin/i,
+    category: "Express",
+    match: /CORS.*not.*enabled|not allowed by CORS|no access.*control.*allow.*origin|can't access|cross.?origin/i,
+    modules: ["express"],
+    examples: [
+      "Error: Not allowed by CORS\n    at origin (/app/server.js:12:16)\n    at /app/node_modules/cors/lib/index.js:219:13\n    at Layer.handle [as handle_request] (/app/node_modules/express/lib/router/layer.js:95:5)"
+    ],
     explain: (error) => `
 CORS headers not sent - cross-origin request blocked.
 
@@ -2509,7 +3068,12 @@ Solution:
 
   {
     name: "EXPRESS_TRUST_PROXY_ERROR",
+    category: "Express",
     match: /trust proxy|X-Forwarded|req\.ip|X-Real-IP|behind.*proxy/i,
+    modules: ["express"],
+    examples: [
+      "ValidationError: The 'X-Forwarded-For' header is set but the Express 'trust proxy' setting is false (default).\n    at Object.xForwardedForHeader (/app/node_modules/express-rate-limit/dist/index.cjs:185:13)\n    at /app/node_modules/express/lib/router/layer.js:95:5"
+    ],
     explain: (error) => `
 Trust proxy not configured properly - IP address wrong or headers not trusted.
 
@@ -2529,7 +3093,12 @@ Solution:
 
   {
     name: "EXPRESS_RENDER_ERROR",
-    match: /render.*not.*function|res\.render|view.*not.*found|template.*error/i,
+    category: "Express",
+    match: /render.*not.*function|res\.render|view.*not.*found|Failed to lookup view|template.*error/i,
+    modules: ["express"],
+    examples: [
+      "Error: Failed to lookup view \"dashbord\" in views directory \"/app/views\"\n    at Function.render (/app/node_modules/express/lib/application.js:597:17)\n    at ServerResponse.render (/app/node_modules/express/lib/response.js:1039:7)"
+    ],
     explain: (error) => `
 View rendering failed - template engine issue.
 
@@ -2550,7 +3119,12 @@ Solution:
 
   {
     name: "EXPRESS_INVALID_REDIRECT",
+    category: "Express",
     match: /invalid redirect|res\.redirect.*not.*url|redirect.*malformed|location.*header/i,
+    modules: ["express"],
+    examples: [
+      "TypeError: Invalid redirect - res.redirect() needs a URL, got undefined\n    at ServerResponse.redirect (/app/node_modules/express/lib/response.js:938:18)"
+    ],
     explain: (error) => `
 Invalid redirect URL provided to res.redirect().
 
@@ -2570,7 +3144,12 @@ Solution:
 
   {
     name: "EXPRESS_CONTENT_TYPE_MISMATCH",
+    category: "Express",
     match: /content.?type|charset|media.*type|accepts/i,
+    modules: ["express"],
+    examples: [
+      "UnsupportedMediaTypeError: unsupported charset \"LATIN1\"\n    at /app/node_modules/body-parser/lib/types/json.js:110:12\n    at Layer.handle (/app/node_modules/express/lib/router/layer.js:95:5)"
+    ],
     explain: (error) => `
 Content-Type mismatch or incompatible accept header.
 
@@ -2591,7 +3170,12 @@ Solution:
 
   {
     name: "EXPRESS_COOKIE_ERROR",
+    category: "Express",
     match: /cookie|res\.cookie|Set-Cookie|cookie.*parser|signed.*cookie/i,
+    modules: ["cookie-parser", "express"],
+    examples: [
+      "TypeError: cookieParser(\"secret\") required for signed cookies\n    at ServerResponse.cookie (/app/node_modules/express/lib/response.js:842:11)\n    at /app/routes/auth.js:31:9"
+    ],
     explain: (error) => `
 Cookie operation failed - parsing or setting cookie error.
 
@@ -2612,7 +3196,12 @@ Solution:
 
   {
     name: "EXPRESS_SESSION_ERROR",
+    category: "Express",
     match: /session|req\.session|session.*middleware|express.?session/i,
+    modules: ["express-session"],
+    examples: [
+      "TypeError: Cannot set properties of undefined (setting 'userId') - req.session is undefined, is express-session installed?\n    at /app/routes/login.js:18:23\n    at Layer.handle (/app/node_modules/express-session/index.js:95:5)"
+    ],
     explain: (error) => `
 Session middleware error - configuration or storage issue.
 
@@ -2633,7 +3222,12 @@ Solution:
 
   {
     name: "EXPRESS_AUTH_HEADER_ERROR",
+    category: "Express",
     match: /authorization|auth.*header|Bearer.*token|unauthorized.*header/i,
+    modules: ["express"],
+    examples: [
+      "UnauthorizedError: No authorization token was found in the Authorization header\n    at /app/node_modules/express-jwt/dist/index.js:102:15\n    at /app/node_modules/express/lib/router/layer.js:95:5"
+    ],
     explain: (error) => `
 Authorization header missing or malformed.
 
@@ -2654,7 +3248,12 @@ Solution:
 
   {
     name: "EXPRESS_MULTER_ERROR",
+    category: "Express",
     match: /multer|file.*upload|multipart.*form|upload.*error|field.*too.*large/i,
+    modules: ["multer"],
+    examples: [
+      "MulterError: Unexpected field\n    at wrappedFileFilter (/app/node_modules/multer/index.js:40:19)"
+    ],
     explain: (error) => `
 File upload error - multer middleware issue.
 
@@ -2675,7 +3274,12 @@ Solution:
 
   {
     name: "EXPRESS_RATE_LIMIT_EXCEEDED",
+    category: "Express",
     match: /rate.*limit|too.*many.*request|429|throttle|limit.*exceeded/i,
+    modules: ["express-rate-limit"],
+    examples: [
+      "Error: Too many requests, please try again later. (rate limit exceeded for 10.0.0.4)\n    at /app/node_modules/express-rate-limit/dist/index.cjs:610:20"
+    ],
     explain: (error) => `
 Rate limit exceeded - too many requests.
 
@@ -2696,7 +3300,12 @@ Solution:
 
   {
     name: "EXPRESS_HELMET_ERROR",
+    category: "Express",
     match: /helmet|security.*header|X-Frame-Options|CSP|content.*security/i,
+    modules: ["helmet"],
+    examples: [
+      "Error: Content-Security-Policy received an invalid directive value for \"script-src\"\n    at getHeaderValue (/app/node_modules/helmet/index.cjs:90:11)"
+    ],
     explain: (error) => `
 Helmet security middleware blocked request or header issue.
 
@@ -2716,7 +3325,12 @@ Solution:
 
   {
     name: "EXPRESS_COMPRESSION_ENABLED_WRONG",
+    category: "Express",
     match: /compression|compress|gzip|deflate|compression.*error/i,
+    modules: ["compression"],
+    examples: [
+      "TypeError: compression filter must be a function\n    at compression (/app/node_modules/compression/index.js:58:11)\n    at /app/server.js:9:9"
+    ],
     explain: (error) => `
 Compression middleware issue - response compression error.
 
@@ -2737,7 +3351,12 @@ Solution:
 
   {
     name: "EXPRESS_MORGAN_LOG_ERROR",
+    category: "Express",
     match: /morgan|logging.*error|morgan.*format|log.*format/i,
+    modules: ["morgan"],
+    examples: [
+      "TypeError: argument format must be a string - unknown morgan format \"dev2\"\n    at morgan (/app/node_modules/morgan/index.js:72:11)"
+    ],
     explain: (error) => `
 Morgan logging middleware error or misconfiguration.
 
@@ -2758,7 +3377,12 @@ Solution:
 
   {
     name: "EXPRESS_VALIDATOR_ERROR",
+    category: "Express",
     match: /express.?validator|validation.*failed|validationResult|check.*validation/i,
+    modules: ["express-validator"],
+    examples: [
+      "Error: Validation failed: email must be a valid email (validationResult)\n    at /app/node_modules/express-validator/src/validation-result.js:34:19\n    at /app/routes/signup.js:12:35"
+    ],
     explain: (error) => `
 express-validator validation error or misconfiguration.
 
@@ -2779,7 +3403,12 @@ Solution:
 
   {
     name: "EXPRESS_PASSPORT_ERROR",
+    category: "Express",
     match: /passport|authentication.*failed|user.*not.*found|auth.*error/i,
+    modules: ["passport"],
+    examples: [
+      "Error: Unknown authentication strategy \"jwt\"\n    at attempt (/app/node_modules/passport/lib/middleware/authenticate.js:193:39)\n    at authenticate (/app/node_modules/passport/lib/middleware/authenticate.js:379:7)"
+    ],
     explain: (error) => `
 Passport authentication middleware error.
 
@@ -2800,7 +3429,12 @@ Solution:
 
   {
     name: "EXPRESS_JSONP_ERROR",
+    category: "Express",
     match: /JSONP|jsonp|callback|padding/i,
+    modules: ["express"],
+    examples: [
+      "TypeError: JSONP callback name contains invalid characters\n    at ServerResponse.jsonp (/app/node_modules/express/lib/response.js:300:11)"
+    ],
     explain: (error) => `
 JSONP response error or misconfiguration.
 
@@ -2820,7 +3454,12 @@ Solution:
 
   {
     name: "EXPRESS_STATIC_FILES_ERROR",
+    category: "Express",
     match: /static.*file|send.*file|res\.sendFile|404.*file|Cannot GET.*\.js/i,
+    modules: ["express"],
+    examples: [
+      "TypeError: path must be absolute or specify root to res.sendFile\n    at ServerResponse.sendFile (/app/node_modules/express/lib/response.js:441:11)\n    at /app/server.js:22:7"
+    ],
     explain: (error) => `
 Static file serving error - file not found or access denied.
 
@@ -2841,7 +3480,12 @@ Solution:
 
   {
     name: "EXPRESS_METHOD_OVERRIDE_ERROR",
+    category: "Express",
     match: /method.?override|_method|X-HTTP-Method-Override|PUT.*not.*allowed/i,
+    modules: ["method-override"],
+    examples: [
+      "Error: method-override: X-HTTP-Method-Override header ignored on GET request\n    at methodOverride (/app/node_modules/method-override/index.js:65:13)"
+    ],
     explain: (error) => `
 Method override not working - HTTP method not overridden.
 
@@ -2862,7 +3506,12 @@ Solution:
 
   {
     name: "EXPRESS_REQUEST_TIMEOUT",
+    category: "Express",
     match: /request.*timeout|ETIMEDOUT|socket.*timeout|timeout.*request/i,
+    modules: ["express"],
+    examples: [
+      "ServiceUnavailableError: Response timeout - request timed out after 30000ms\n    at IncomingMessage.onTimeout (/app/node_modules/connect-timeout/index.js:84:8)\n    at /app/node_modules/express/lib/router/layer.js:95:5"
+    ],
     explain: (error) => `
 Express request timed out - took too long to complete.
 
@@ -2883,7 +3532,12 @@ Solution:
 
   {
     name: "EXPRESS_HANDLEBARS_ERROR",
+    category: "Express",
     match: /handlebars|HBS|template.*error|helper.*not.*found|partial.*error/i,
+    modules: ["express-handlebars", "handlebars"],
+    examples: [
+      "Error: Missing helper: \"formatDate\"\n    at Object.<anonymous> (/app/node_modules/handlebars/dist/cjs/handlebars/helpers/helper-missing.js:19:13)"
+    ],
     explain: (error) => `
 Express Handlebars template engine error.
 
@@ -2904,7 +3558,12 @@ Solution:
 
   {
     name: "EXPRESS_EJS_ERROR",
+    category: "Express",
     match: /EJS|ejs.*error|ejs.*undefined|template.*render|ejs.*syntax/i,
+    modules: ["ejs"],
+    examples: [
+      "ReferenceError: /app/views/profile.ejs:12\n    10| <h1>Profile</h1>\n >> 12| <p><%= user.name %></p>\n\nuser is not defined\n    at eval (\"/app/views/profile.ejs\":12:26)\n    at profile (/app/node_modules/ejs/lib/ejs.js:703:17)"
+    ],
     explain: (error) => `
 Express EJS template engine error.
 
@@ -2925,7 +3584,12 @@ Solution:
 
   {
     name: "EXPRESS_PUG_ERROR",
+    category: "Express",
     match: /Pug|jade|pug.*error|indentation.*error|pug.*syntax/i,
+    modules: ["pug"],
+    examples: [
+      "Error: /app/views/index.pug:4:1\n    2|   head\n    3|     title= title\n  > 4|  body\n-------^\n\nInconsistent indentation. Expecting either 0 or 4 spaces/tabs.\n    at makeError (/app/node_modules/pug-error/index.js:34:13)\n    at Lexer.error (/app/node_modules/pug-lexer/index.js:62:15)"
+    ],
     explain: (error) => `
 Express Pug template engine error.
 
@@ -2946,7 +3610,12 @@ Solution:
 
   {
     name: "EXPRESS_JWT_ERROR",
+    category: "Express",
     match: /JWT|json.*web.*token|token.*invalid|jwt.*error|token.*expired/i,
+    modules: ["jsonwebtoken", "express-jwt"],
+    examples: [
+      "JsonWebTokenError: invalid signature\n    at /app/node_modules/jsonwebtoken/verify.js:171:19"
+    ],
     explain: (error) => `
 JSON Web Token (JWT) authentication error.
 
@@ -2967,7 +3636,12 @@ Solution:
 
   {
     name: "EXPRESS_REDIRECT_CHAIN",
+    category: "Express",
     match: /redirect.*loop|infinite.*redirect|too.*many.*redirect|redirect.*chain/i,
+    modules: ["express"],
+    examples: [
+      "Error: Redirect loop detected: /login -> /dashboard -> /login (too many redirects)\n    at /app/middleware/auth.js:9:7\n    at Layer.handle (/app/node_modules/express/lib/router/layer.js:95:5)"
+    ],
     explain: (error) => `
 Infinite redirect loop detected.
 
@@ -2988,7 +3662,12 @@ Solution:
 
   {
     name: "EXPRESS_QUERY_PARAM_ERROR",
+    category: "Express",
     match: /req\.query|query.*param|undefined.*query|query.*string/i,
+    modules: ["express"],
+    examples: [
+      "TypeError: Cannot read properties of undefined (reading 'split') - req.query.tags is undefined\n    at /app/routes/search.js:7:34\n    at Layer.handle (/app/node_modules/express/lib/router/layer.js:95:5)"
+    ],
     explain: (error) => `
 Query parameter not accessible or undefined.
 
@@ -3009,7 +3688,12 @@ Solution:
 
   {
     name: "EXPRESS_ROUTE_PARAM_ERROR",
+    category: "Express",
     match: /req\.params|route.*param|undefined.*param|param.*not.*found/i,
+    modules: ["express"],
+    examples: [
+      "Error: route param :id not found on /users - req.params.id is undefined\n    at /app/routes/users.js:11:20\n    at Layer.handle (/app/node_modules/express/lib/router/layer.js:95:5)"
+    ],
     explain: (error) => `
 Route parameter missing or undefined.
 
@@ -3030,7 +3714,12 @@ Solution:
 
   {
     name: "EXPRESS_X_POWERED_BY",
+    category: "Express",
     match: /x.?powered.?by|X-Powered-By|prevent.*disclosure/i,
+    modules: ["express"],
+    examples: [
+      "Warning: X-Powered-By: Express header is enabled - disable it to prevent disclosure of the server stack\n    at /app/node_modules/express/lib/application.js:90:5"
+    ],
     explain: (error) => `
 X-Powered-By header disclosure - security information leaked.
 
@@ -3050,7 +3739,12 @@ Solution:
 
   {
     name: "EXPRESS_CASE_SENSITIVE_ROUTING",
+    category: "Express",
     match: /case.?sensitive|routing.*case|case.*insensitive/i,
+    modules: ["express"],
+    examples: [
+      "Warning: case sensitive routing is disabled - /Users and /users resolve to the same handler\n    at /app/node_modules/express/lib/router/index.js:60:3"
+    ],
     explain: (error) => `
 Route case sensitivity issue - /Path and /path treated differently.
 
@@ -3070,7 +3764,12 @@ Solution:
 
   {
     name: "EXPRESS_STRICT_ROUTING",
+    category: "Express",
     match: /strict.*routing|trailing.*slash|\/path\/ vs \/path/i,
+    modules: ["express"],
+    examples: [
+      "Warning: strict routing is disabled - trailing slash routes /users/ and /users are treated the same\n    at /app/node_modules/express/lib/router/index.js:61:3"
+    ],
     explain: (error) => `
 Strict routing enabled - trailing slash matters.
 
@@ -3090,7 +3789,12 @@ Solution:
 
   {
     name: "EXPRESS_ETAG_ERROR",
+    category: "Express",
     match: /ETag|weak.*ETag|strong.*ETag|304.*Not Modified/i,
+    modules: ["express"],
+    examples: [
+      "TypeError: unknown value for etag function: strongest\n    at compileETag (/app/node_modules/express/lib/utils.js:146:13)\n    at Function.set (/app/node_modules/express/lib/application.js:371:33)"
+    ],
     explain: (error) => `
 Entity tag (ETag) issue - caching problem.
 
@@ -3110,7 +3814,12 @@ Solution:
 
   {
     name: "EXPRESS_VARY_HEADER",
+    category: "Express",
     match: /Vary.*header|Accept-Encoding|Accept-Language|vary|cache.*vary/i,
+    modules: ["express"],
+    examples: [
+      "TypeError: field argument contains an invalid header name (Vary header)\n    at vary (/app/node_modules/vary/index.js:138:11)\n    at ServerResponse.vary (/app/node_modules/express/lib/response.js:1031:3)"
+    ],
     explain: (error) => `
 Vary header issue - caching with multiple conditions.
 
@@ -3130,7 +3839,12 @@ Solution:
 
   {
     name: "EXPRESS_LINK_HEADER",
+    category: "Express",
     match: /Link.*header|preload|rel=preload|link.*rel/i,
+    modules: ["express"],
+    examples: [
+      "TypeError: Cannot convert undefined or null to object (res.links - Link header needs an object of rel => url)\n    at ServerResponse.links (/app/node_modules/express/lib/response.js:93:18)"
+    ],
     explain: (error) => `
 HTTP Link header issue - preload or resource hints.
 
@@ -3150,7 +3864,12 @@ Solution:
 
   {
     name: "EXPRESS_ACCEPT_HEADER",
+    category: "Express",
     match: /Accept.*header|accepts|req\.accepts|content.*negotiation/i,
+    modules: ["express"],
+    examples: [
+      "NotAcceptableError: Not Acceptable - req.accepts('json') found no match in the Accept header\n    at ServerResponse.format (/app/node_modules/express/lib/response.js:689:15)"
+    ],
     explain: (error) => `
 Request Accept header negotiation error or mismatch.
 
@@ -3172,7 +3891,12 @@ Solution:
 
   {
     name: "EXPRESS_GATEWAY_TIMEOUT",
+    category: "Express",
     match: /gateway.*timeout|502.*gateway|upstream.*timeout|gateway.*error/i,
+    modules: ["express"],
+    examples: [
+      "Error: 504 Gateway Timeout - upstream timeout after 60000ms from http://orders:4000\n    at ClientRequest.<anonymous> (/app/node_modules/http-proxy-middleware/dist/handlers/response.js:20:19)\n    at /app/node_modules/express/lib/router/layer.js:95:5"
+    ],
     explain: (error) => `
 Gateway timeout when proxying requests - upstream service too slow.
 
@@ -3192,7 +3916,12 @@ Solution:
 
   {
     name: "EXPRESS_NO_CATCH_ALL",
+    category: "Express",
     match: /no.*catch.*all|final.*middleware|404.*handler|unhandled.*route/i,
+    modules: ["express"],
+    examples: [
+      "Warning: no catch-all 404 handler - unhandled route GET /api/unknown fell through to the default Express finalhandler\n    at /app/node_modules/express/lib/router/index.js:646:15"
+    ],
     explain: (error) => `
 No catch-all 404 handler defined - unmatched routes not handled.
 
@@ -3213,7 +3942,12 @@ Solution:
 
   {
     name: "GENERAL_ERROR",
+    category: "General",
     match: /error|failed|exception/i,
+    priority: -100,
+    examples: [
+      "Error: something went wrong"
+    ],
     explain: (error) => `
 A general error occurred. Check the error message and stack trace above.
 
@@ -3229,25 +3963,340 @@ Solution:
   }
 ];
 
+// Built-in patterns merged with the loaded pattern packs
+let activePatterns = errorPatterns;
+
+// The target project's dependencies (projectDependencies.js), null if unknown
+let projectDependencies = null;
+
+/**
+ * Activate pattern packs
+ * A pack pattern replaces the built-in pattern of the same name; new
+ * patterns go first so they win ties. Packs must be sorted highest
+ * precedence first - the first pack to define a name wins.
+ *
+ * @param {object[]} packs - From patternPacks.loadPatternPacks()
+ */
+function usePatternPacks(packs = []) {
+  const fromPacks = new Map();
+
+  packs.forEach((pack) => {
+    pack.patterns.forEach((pattern) => {
+      if (!fromPacks.has(pattern.name)) {
+        fromPacks.set(pattern.name, { ...pattern, pack: `${pack.name}@${pack.version}` });
+      }
+    });
+  });
+
+  const builtInNames = new Set(errorPatterns.map(p => p.name));
+  const added = [...fromPacks.values()].filter(p => !builtInNames.has(p.name));
+  const builtIns = errorPatterns.map(p => fromPacks.get(p.name) || p);
+
+  activePatterns = [...added, ...builtIns];
+}
+
+/**
+ * Get the active patterns (built-ins plus packs)
+ */
+function getPatterns() {
+  return activePatterns;
+}
+
+/**
+ * Tell the matcher what the target project depends on
+ * Framework patterns (those with `modules`) score higher when one of their
+ * modules is a dependency and lower when none is
+ *
+ * @param {Map|null} dependencies - From projectDependencies.readProjectDependencies()
+ */
+function useProjectDependencies(dependencies) {
+  projectDependencies = dependencies || null;
+}
+
+/**
+ * Get the project dependency a framework pattern is about
+ *
+ * @returns {object|null} - { name, version, range, installed }
+ */
+function getPatternFramework(pattern) {
+  if (!pattern.modules || !projectDependencies) return null;
+
+  const name = pattern.modules.find(mod => projectDependencies.has(mod));
+  return name ? { name, ...projectDependencies.get(name) } : null;
+}
+
+/**
+ * The catch-all pattern used when nothing else matches
+ */
+function getFallbackPattern() {
+  return activePatterns.find(p => p.name === 'GENERAL_ERROR') || errorPatterns[errorPatterns.length - 1];
+}
+
+// Built-in classes say little about the cause - "TypeError" alone is a weak match
+const GENERIC_CLASSES = ['Error', 'TypeError', 'RangeError', 'SyntaxError', 'ReferenceError', 'EvalError', 'URIError'];
+
+// Score weights
+const SCORES = {
+  code: 40,          // regex matches the `code` property (EADDRINUSE, ERR_*, ...)
+  message: 10,       // regex matches the message, plus its specificity below
+  maxSpecificity: 30, // one point per matched character, up to this
+  specificClass: 30, // regex matches a library/custom class (MongoNetworkError, ...)
+  genericClass: 5,   // regex matches a built-in class only
+  module: 25,        // a stack frame is inside one of the pattern's modules
+  framework: 15,     // one of the pattern's modules is a project dependency
+  noFramework: -30,  // none of them is - the pattern is probably about someone else's stack
+  raw: 2             // regex matches somewhere else in the output (e.g. the stack)
+};
+
+/**
+ * Get the text to match patterns against
+ * Accepts either a parsed error object or raw error text. A parsed error
+ * is matched without its [cause] and [errors], which are explained on
+ * their own.
+ */
+function getMatchText(error) {
+  if (!error) return '';
+  return typeof error === 'string' ? error : (error.ownRaw || error.raw || `${error.name}: ${error.message}`);
+}
+
+/**
+ * Test a regex against a string, returning the match (global/sticky safe)
+ */
+function execPattern(regex, text) {
+  if (!text) return null;
+  regex.lastIndex = 0;
+  return regex.exec(text);
+}
+
+/**
+ * Find every match of a regex in a string, one per position
+ * An alternative later in the text ("EADDRINUSE: address already in use")
+ * is found even if an earlier one matched first
+ */
+function execAll(regex, text) {
+  if (!text) return [];
+
+  const global = new RegExp(regex.source, regex.flags.replace(/[gy]/g, '') + 'g');
+  const matches = [];
+  let match;
+  while ((match = global.exec(text)) !== null) {
+    matches.push(match);
+    if (!match[0]) global.lastIndex++; // don't loop on empty matches
+  }
+  return matches;
+}
+
+/**
+ * Check if any stack frame is inside one of the given packages
+ */
+function hasModuleFrame(error, modules) {
+  return (error.frames || [])
+    .filter(frame => frame.isNodeModules)
+    .map(frame => frame.file.replace(/\\/g, '/'))
+    .some(file => modules.some(mod => file.includes(`node_modules/${mod}/`)));
+}
+
+/**
+ * Match a pattern against the message
+ * Patterns like /SyntaxError.*JSON/ span the class and the message - only
+ * the part inside the message counts towards specificity. The longest
+ * match counts, so "address already in use" beats a generic "already in use".
+ *
+ * @returns {object|null} - { text, length }
+ */
+function getMessageMatch(pattern, error) {
+  const longest = (best, candidate) => (!best || candidate.length > best.length ? candidate : best);
+
+  const match = execAll(pattern.match, error.message)
+    .map(m => ({ text: m[0], length: m[0].length }))
+    .reduce(longest, null);
+  if (match) {
+    return match;
+  }
+
+  if (!error.name) return null;
+
+  const prefixLength = error.name.length + 2;
+  return execAll(pattern.match, `${error.name}: ${error.message}`)
+    .filter(m => m.index + m[0].length > prefixLength)
+    .map(m => ({ text: m[0], length: m.index + m[0].length - Math.max(m.index, prefixLength) }))
+    .reduce(longest, null);
+}
+
+/**
+ * Score one pattern against a parsed error
+ *
+ * @returns {object|null} - { pattern, score, reasons }, null if the pattern doesn't match
+ */
+function scorePattern(pattern, error, errorText) {
+  if (!execPattern(pattern.match, errorText)) {
+    return null;
+  }
+
+  let score = pattern.priority || 0;
+  const reasons = [];
+
+  // Like the class, only the whole code counts - /MODULE_NOT_FOUND/ shouldn't match "ERR_MODULE_NOT_FOUND"
+  const codeMatch = pattern.codes ? null : execPattern(pattern.match, error.code);
+  const hasCode = pattern.codes
+    ? pattern.codes.includes(error.code)
+    : Boolean(codeMatch && codeMatch[0].length === error.code.length);
+  if (error.code && hasCode) {
+    score += SCORES.code;
+    reasons.push(`code ${error.code}`);
+  }
+
+  // The code repeated in the message ("connect ECONNREFUSED ...") was already counted
+  const messageMatch = getMessageMatch(pattern, error);
+  if (messageMatch && !(hasCode && messageMatch.text === error.code)) {
+    score += SCORES.message + Math.min(messageMatch.length, SCORES.maxSpecificity);
+    reasons.push(`message "${messageMatch.text}"`);
+  }
+
+  // Only the whole class name counts - /Worker/i shouldn't match "MongoNetworkError"
+  const classMatch = execPattern(pattern.match, error.name);
+  if (classMatch && classMatch[0].length === error.name.length) {
+    const isGeneric = GENERIC_CLASSES.includes(error.name);
+    score += isGeneric ? SCORES.genericClass : SCORES.specificClass;
+    reasons.push(`class ${error.name}`);
+  }
+
+  if (!reasons.length) {
+    score += SCORES.raw;
+    reasons.push('output');
+  }
+
+  const hasFrame = Boolean(pattern.modules) && hasModuleFrame(error, pattern.modules);
+  if (hasFrame) {
+    score += SCORES.module;
+    reasons.push(`frame in ${pattern.modules.join('/')}`);
+  }
+
+  if (pattern.modules && projectDependencies) {
+    const framework = getPatternFramework(pattern);
+    if (framework) {
+      score += SCORES.framework;
+      reasons.push(`uses ${framework.name}@${framework.version}`);
+    } else if (!hasFrame) {
+      // A frame in the package proves it is there, even as a transitive dependency
+      score += SCORES.noFramework;
+      reasons.push(`no ${pattern.modules.join('/')} dependency`);
+    }
+  }
+
+  return { pattern, score, reasons };
+}
+
+/**
+ * Rank all matching patterns, best first
+ * Ties keep the order of the patterns array
+ *
+ * @param {object|string} error - Parsed error object or raw error text
+ * @param {object} options - { limit = 5 }
+ * @returns {object[]} - [{ pattern, score, reasons }]
+ */
+function rankErrorPatterns(error, { limit = 5 } = {}) {
+  const parsedError = typeof error === 'string' ? parseError(error) : error;
+  if (!parsedError) return [];
+
+  const errorText = getMatchText(parsedError);
+
+  return activePatterns
+    .map(pattern => scorePattern(pattern, parsedError, errorText))
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Find the best matching error pattern
+ * A Node.js code from the catalog (ERR_*, DEP0xxx) is answered before any
+ * regex is tried, unless a pattern claims the code in its `codes`.
+ * Otherwise returns the highest-scoring pattern or the GENERAL_ERROR pattern
+ */
+function findErrorPattern(error) {
+  const parsedError = typeof error === 'string' ? parseError(error) : error;
+
+  const catalogPattern = parsedError && getCatalogPattern(parsedError.code);
+  if (catalogPattern && !activePatterns.some(p => p.codes && p.codes.includes(parsedError.code))) {
+    return catalogPattern;
+  }
+
+  const [best] = rankErrorPatterns(parsedError, { limit: 1 });
+  return best ? best.pattern : getFallbackPattern(); // Return GENERAL_ERROR if no match
+}
+
 /**
- * Find error pattern by matching against error text
- * Returns the first matching pattern or the GENERAL_ERROR pattern
+ * Collect the named groups a pattern captures from an error
+ *
+ * @returns {object} - { name: value }
  */
-function findErrorPattern(errorText) {
-  const pattern = errorPatterns.find(p => p.match.test(errorText));
-  return pattern || errorPatterns[errorPatterns.length - 1]; // Return GENERAL_ERROR if no match
+function getCaptures(pattern, error) {
+  const errorText = getMatchText(error);
+  const captures = {};
+
+  [pattern.match, ...(pattern.captures || [])].forEach((regex) => {
+    const match = execPattern(regex, errorText);
+    if (!match || !match.groups) return;
+
+    Object.keys(match.groups).forEach((name) => {
+      if (captures[name] === undefined && match.groups[name] !== undefined) {
+        captures[name] = match.groups[name];
+      }
+    });
+  });
+
+  return captures;
+}
+
+/**
+ * Replace {{name}} and {{name|fallback}} placeholders
+ * Placeholders without a capture or fallback become <name>
+ */
+function renderTemplate(text, captures = {}) {
+  return text.replace(/\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g, (placeholder, name, fallback) => {
+    if (captures[name] !== undefined) return captures[name];
+    return fallback !== undefined ? fallback : `<${name}>`;
+  });
+}
+
+/**
+ * Render a pattern's explanation for an error
+ */
+function renderExplanation(pattern, error) {
+  const captures = getCaptures(pattern, error);
+  const explanation = renderTemplate(pattern.explain(error, captures), captures);
+
+  // Framework advice depends on the version - say which one the project has
+  const framework = getPatternFramework(pattern);
+  if (!framework) {
+    return explanation;
+  }
+  const version = framework.installed
+    ? `Installed: ${framework.name} ${framework.version}`
+    : `package.json: ${framework.name} ${framework.range} (not installed - run npm install)`;
+  return `${explanation}\n\n${version}`;
 }
 
 /**
  * Get explanation for an error
  */
-function getErrorExplanation(errorText) {
-  const pattern = findErrorPattern(errorText);
-  return pattern.explain(errorText);
+function getErrorExplanation(error) {
+  const parsedError = typeof error === 'string' ? parseError(error) : error;
+  const pattern = findErrorPattern(parsedError);
+  return renderExplanation(pattern, parsedError);
 }
 
 module.exports = {
   errorPatterns,
+  usePatternPacks,
+  useProjectDependencies,
+  getPatternFramework,
+  getPatterns,
   findErrorPattern,
+  rankErrorPatterns,
+  getCaptures,
+  renderTemplate,
+  renderExplanation,
   getErrorExplanation
 };
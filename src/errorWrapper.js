@@ -3,6 +3,9 @@
  * 
  * Optional error wrapper that can be required in user's app
  * to ensure all runtime errors are logged to stderr where nodewise can catch them
+ *
+ * @deprecated nodewise now preloads nodewise/register into the app, which
+ * captures uncaught exceptions and unhandled rejections without code changes
  */
 
 /**
@@ -9,6 +9,9 @@
  */
 
 const axios = require('axios');
+const { getUserFrame, formatFrame, getRootCauses } = require('../stackParser');
+const { getSourceExcerpt, formatExcerpt } = require('../sourceExcerpt');
+const { findErrorPattern, getPatternFramework } = require('../errorPatterns');
 
 /**
  * Default Gemini API endpoint - no need to change unless using custom proxy
@@ -72,15 +75,15 @@ function truncateError(text, maxLines = 6, maxChars = 800) {
 /**
  * Explain error using Gemini API
  * 
- * @param {string} errorText - The error message/stack trace
+ * @param {object} error - Parsed error object from stackParser.parseError()
  * @param {object} geminiConfig - Configuration object with { apiKey: 'your-api-key' }
  * @returns {Promise<string>} - The explanation with problem analysis and exact solution
  * 
  * Example:
  *   const config = { apiKey: 'AIzaSy...' }
- *   const explanation = await explainWithGemini('TypeError: Cannot read property', config)
+ *   const explanation = await explainWithGemini(parseError('TypeError: Cannot read property'), config)
  */
-async function explainWithGemini(errorText, geminiConfig) {
+async function explainWithGemini(error, geminiConfig) {
   // Validate API key is provided
   if (!geminiConfig || !geminiConfig.apiKey) {
     throw new Error('Gemini API key not configured. Run: nodewise --setup');
@@ -94,13 +97,31 @@ async function explainWithGemini(errorText, geminiConfig) {
 
     // Exact structure matching the curl example you provided
     // Minimal, token-efficient prompt — send a truncated error to reduce tokens
-    const snippet = truncateError(errorText, 6, 800);
+    const snippet = truncateError(error.raw, 6, 800);
+    const frame = getUserFrame(error);
+    const frameInfo = frame ? `\n\nFailing frame: ${formatFrame(frame)}` : '';
+    // Give the model the actual code around the failing line
+    const excerpt = getSourceExcerpt(error);
+    const sourceInfo = excerpt
+      ? `\n\nSource (${excerpt.file}:${excerpt.line}):\n${formatExcerpt(excerpt).join('\n')}`
+      : '';
+    // Framework answers depend on the major version
+    const framework = getPatternFramework(findErrorPattern(error));
+    const frameworkInfo = framework ? `\n\nProject uses ${framework.name} ${framework.version}` : '';
+    // The snippet only shows the outer error - name what it wraps
+    const roots = getRootCauses(error).filter(root => root !== error);
+    const rootInfo = roots.length
+      ? `\n\nRoot cause (explain this one, the errors above wrap it):\n${roots.map((root) => {
+        const rootFrame = getUserFrame(root);
+        return `${root.name}: ${root.message.split('\n')[0]}${rootFrame ? ` at ${formatFrame(rootFrame)}` : ''}`;
+      }).join('\n')}`
+      : '';
     const payload = {
       contents: [
         {
           parts: [
             {
-              text: `${createSystemPrompt()}\n\nBriefly explain the error in plain text: one-line summary; cause; file:line to change; minimal code fix.\n\nError snippet:\n${snippet}`
+              text: `${createSystemPrompt()}\n\nBriefly explain the error in plain text: one-line summary; cause; file:line to change; minimal code fix.\n\nError snippet:\n${snippet}${frameInfo}${rootInfo}${frameworkInfo}${sourceInfo}`
             }
           ]
         }
@@ -8,20 +8,30 @@
 
 const { explainWithGemini } = require('./gemini');
 const { explainWithNormal } = require('./normal');
+const { parseError } = require('../stackParser');
+const { applySourceMaps } = require('../sourceMaps');
 const chalk = require('chalk');
 
 /**
  * Main explain function - routes based on config
  * 
- * @param {string} errorText - The error message/stack
+ * @param {object|string} error - Parsed error object (or raw error text, which gets parsed)
  * @param {object} config - Configuration object with mode setting
  * @returns {Promise<string>} - The explanation
  */
-async function explain(errorText, config) {
+async function explain(error, config) {
   if (!config) {
     throw new Error('Configuration is required');
   }
 
+  let parsedError = error;
+  if (typeof error === 'string') {
+    parsedError = parseError(error);
+    if (config.sourceMaps !== false) {
+      parsedError = applySourceMaps(parsedError);
+    }
+  }
+
   // If no mode specified, default to normal
   const mode = config.mode || 'normal';
 
@@ -29,20 +39,20 @@ async function explain(errorText, config) {
     if (mode === 'gemini') {
       try {
         const geminiOptions = { ...config.gemini, timeout: config.timeout };
-        return await explainWithGemini(errorText, geminiOptions);
+        return await explainWithGemini(parsedError, geminiOptions);
       } catch (geminiError) {
         // Gemini failed — fall back to normal mode (concise)
         const reason = (geminiError && geminiError.message) ? geminiError.message.split('\n')[0] : 'unknown';
         console.warn(chalk.yellow(`Gemini failed, using normal mode: ${reason}`));
-        return await explainWithNormal(errorText);
+        return await explainWithNormal(parsedError);
       }
     } else if (mode === 'normal') {
-      return await explainWithNormal(errorText);
+      return await explainWithNormal(parsedError);
     } else {
       throw new Error(`Unknown explanation mode: ${mode}`);
     }
-  } catch (error) {
-    throw error;
+  } catch (err) {
+    throw err;
   }
 }
 
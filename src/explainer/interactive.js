@@ -7,34 +7,88 @@
 const chalk = require('chalk');
 const readline = require('readline');
 const { explain } = require('./index');
+const { getUserFrame, formatFrame } = require('../stackParser');
+const { getSourceExcerpt, formatExcerpt } = require('../sourceExcerpt');
+
+// Box title per severity (see classifier.js)
+const SEVERITY_TITLES = {
+  fatal: 'CRASH DETECTED',
+  uncaught: 'UNCAUGHT ERROR',
+  handled: 'ERROR LOGGED',
+  warning: 'WARNING',
+  noise: 'POSSIBLE ERROR'
+};
 
-async function showInteractiveExplainer(errorText, config) {
+/**
+ * Show the crash box and ask whether to explain the error
+ *
+ * @param {object} error - Parsed error object
+ * @param {object} config - Configuration object
+ * @param {object} options - { ask: () => Promise<string> } to read the answer
+ *                           (the Runner passes its stdin router)
+ *                           { prompt: false } for non-interactive/CI mode, where
+ *                           { autoExplain } decides between explaining right away and skipping
+ * @returns {Promise<string|null>} - The explanation shown, null if skipped
+ */
+async function showInteractiveExplainer(error, config, options = {}) {
   console.log('\n');
-  const summary = (errorText || '').toString().split('\n')[0] || 'Unknown error';
+  const summary = error.message ? `${error.name}: ${error.message.split('\n')[0]}` : 'Unknown error';
+  const frame = getUserFrame(error);
 
   // Header with soft border
   console.log(chalk.hex('#FF5F5F')('  ┌' + '─'.repeat(58)));
-  console.log(chalk.hex('#FF5F5F')('  │ ') + chalk.white.bold('CRASH DETECTED'));
+  const title = SEVERITY_TITLES[error.severity] || SEVERITY_TITLES.fatal;
+  console.log(chalk.hex('#FF5F5F')('  │ ') + chalk.white.bold(title));
   console.log(chalk.hex('#FF5F5F')('  └' + '─'.repeat(58)));
   console.log();
   console.log(chalk.white('    ' + summary));
+  if (frame) {
+    console.log(chalk.gray('    at ' + formatFrame(frame)));
+  }
   console.log();
 
+  // Source lines around the failing location, caret under the column
+  const excerpt = getSourceExcerpt(error);
+  if (excerpt) {
+    const excerptLines = formatExcerpt(excerpt, {
+      gutter: chalk.gray,
+      highlight: chalk.white.bold,
+      caret: chalk.hex('#FF5F5F').bold
+    });
+    excerptLines.forEach(line => console.log('    ' + line));
+    console.log();
+  }
+
+  // Non-interactive (CI, Docker, --no-prompt): never wait for input
+  if (options.prompt === false) {
+    if (options.autoExplain === false) {
+      console.log(chalk.gray('    Explanation skipped (non-interactive mode).\n'));
+      return null;
+    }
+    return explainErrorInteractively(error, config, { spinner: false });
+  }
+
   // Compact, modern prompt
   console.log(chalk.cyan.bold('    ? ') + chalk.white('Would you like an AI explanation?'));
   console.log(chalk.gray('      [y] Yes, explain it  [n] No, just skip'));
   console.log();
 
-  const answer = await getUserInput();
+  const answer = await getUserInput(options.ask);
 
   if (answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes' || answer === '') {
-    await explainErrorInteractively(errorText, config);
-  } else {
-    console.log(chalk.gray('    Skipped.\n'));
+    return explainErrorInteractively(error, config);
   }
+
+  console.log(chalk.gray('    Skipped.\n'));
+  return null;
 }
 
-function getUserInput() {
+function getUserInput(ask) {
+  if (ask) {
+    process.stdout.write(chalk.cyan('    > '));
+    return ask();
+  }
+
   return new Promise((resolve) => {
     const rl = readline.createInterface({
       input: process.stdin,
@@ -65,6 +119,7 @@ function showThinking() {
 }
 
 function clearThinking(interval) {
+  if (!interval) return;
   clearInterval(interval);
   process.stdout.write('\r' + ' '.repeat(50) + '\r');
 }
@@ -80,6 +135,7 @@ function displayExplanation(explanation) {
   const lines = explanation.split('\n');
   lines.forEach((line) => {
     let content = line.trim();
+    const indent = line.match(/^\s*/)[0]; // keeps the error chain's tree shape
     if (!content) {
       console.log(); // Add a gap for empty lines (double-spacing)
       return;
@@ -87,33 +143,36 @@ function displayExplanation(explanation) {
 
     // High-end minimalist styling
     // If it starts with a keyword, add a line break before it to create gaps between sections
-    if (/^(Summary|Problem|Cause|Solution|Fix|Where|Why|File|Line|Note|Suggestion|Minimal code fix|Code):/i.test(content)) {
+    if (/^(Summary|Problem|Cause|Root cause(?: \d+ of \d+)?|Error chain|Solution|Fix|Where|Why|File|Line|Note|Suggestion|Minimal code fix|Code):/i.test(content)) {
       console.log();
     }
 
     content = content
-      .replace(/^(Summary|Problem|Cause|Solution|Fix|Where|Why|File|Line|Note|Suggestion|Minimal code fix|Code):/i, (match) => chalk.hex('#FFAF00').bold(match))
+      .replace(/^(Summary|Problem|Cause|Root cause(?: \d+ of \d+)?|Error chain|Solution|Fix|Where|Why|File|Line|Note|Suggestion|Minimal code fix|Code):/i, (match) => chalk.hex('#FFAF00').bold(match))
       .replace(/`([^`]+)`/g, (match) => chalk.hex('#00FF87')(match))
       .replace(/'([^']+)'/g, (match) => chalk.hex('#00FF87')(match));
 
-    console.log('    ' + content);
+    console.log('    ' + indent + content);
   });
 
   console.log('\n');
 }
 
-async function explainErrorInteractively(errorText, config) {
-  let thinkingInterval = showThinking();
+async function explainErrorInteractively(error, config, options = {}) {
+  // The spinner redraws with \r, which only makes sense on a terminal
+  const thinkingInterval = options.spinner === false ? null : showThinking();
 
   try {
-    const explanation = await explain(errorText, config);
+    const explanation = await explain(error, config);
     clearThinking(thinkingInterval);
     displayExplanation(explanation);
-  } catch (error) {
+    return explanation;
+  } catch (err) {
     clearThinking(thinkingInterval);
     console.log(chalk.red.bold('  ✗ Failed to explain'));
-    console.log(chalk.red(`  ${error.message}`));
+    console.log(chalk.red(`  ${err.message}`));
     console.log();
+    return null;
   }
 }
 
@@ -5,20 +5,79 @@
  * Lightweight, offline, no API calls required
  */
 
-const { getErrorExplanation } = require('../errorPatterns');
+const { getErrorExplanation, findErrorPattern, rankErrorPatterns } = require('../errorPatterns');
+const { getUserFrame, formatFrame, getErrorChain, getRootCauses } = require('../stackParser');
+
+/**
+ * Explain a single error, pointing at the failing frame in the user's code
+ * when we know it
+ */
+function explainOne(error) {
+  const explanation = getErrorExplanation(error);
+  const frame = getUserFrame(error);
+  return frame ? `Where: ${formatFrame(frame)}\n\n${explanation}` : explanation;
+}
+
+/**
+ * Check if an error matches a specific pattern by itself - not just
+ * somewhere in the output around it (source line, stack)
+ */
+function hasOwnPattern(error) {
+  const pattern = findErrorPattern(error);
+  if (pattern.catalog) return true;
+  if (pattern.name === 'GENERAL_ERROR') return false;
+
+  const [best] = rankErrorPatterns(error, { limit: 1 });
+  return Boolean(best) && best.pattern === pattern && best.reasons.some(reason => reason !== 'output');
+}
+
+/**
+ * One line per error in the chain, outermost first
+ * Wrappers that match a specific pattern get its summary line too
+ */
+function formatChain(chain, roots) {
+  const lines = chain.map(({ error, depth, via }) => {
+    const indent = '  '.repeat(depth);
+    const prefix = via ? `└ ${via === 'cause' ? 'cause' : 'error'}: ` : '';
+    const frame = getUserFrame(error);
+    const where = frame ? `  (${formatFrame(frame)})` : '';
+    const marker = roots.includes(error) ? '  ← root cause' : '';
+    const header = `${indent}${prefix}${error.name}: ${error.message.split('\n')[0]}${where}${marker}`;
+
+    if (roots.includes(error) || !hasOwnPattern(error)) {
+      return header;
+    }
+    const summary = getErrorExplanation(error).split('\n')[0];
+    return `${header}\n${indent}    ${summary}`;
+  });
+
+  return `Error chain:\n${lines.join('\n')}`;
+}
 
 /**
  * Explain error using pattern matching
+ * An error that wraps others (error.cause, AggregateError) is explained by
+ * its root causes, followed by the chain that led to them
  * 
- * @param {string} errorText - The error message/stack
+ * @param {object} error - Parsed error object from stackParser.parseError()
  * @returns {Promise<string>} - The explanation
  */
-async function explainWithNormal(errorText) {
+async function explainWithNormal(error) {
   try {
-    const explanation = getErrorExplanation(errorText);
-    return explanation;
-  } catch (error) {
-    return `Unable to explain this error. Here's what we know:\n${errorText}`;
+    const chain = getErrorChain(error);
+    if (chain.length === 1) {
+      return explainOne(error);
+    }
+
+    const roots = getRootCauses(error);
+    const sections = roots.map((root, i) => {
+      const title = roots.length > 1 ? `Root cause ${i + 1} of ${roots.length}` : 'Root cause';
+      return `${title}: ${root.name}: ${root.message.split('\n')[0]}\n${explainOne(root)}`;
+    });
+
+    return [...sections, formatChain(chain, roots)].join('\n\n');
+  } catch (err) {
+    return `Unable to explain this error. Here's what we know:\n${error.raw}`;
   }
 }
 
@@ -0,0 +1,130 @@
+/**
+ * fingerprint.js
+ *
+ * Error fingerprinting and deduplication
+ * An error's fingerprint is built from its name, code, normalized message
+ * and top user frames, so the same bug firing on every request or every
+ * restart is recognized as one error.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+// Frames of the user's own code that make up the fingerprint
+const FINGERPRINT_FRAMES = 3;
+
+/**
+ * Strip the parts of a message that change between occurrences
+ * of the same bug (ids, numbers, timestamps, addresses)
+ */
+function normalizeMessage(message) {
+  return (message || '')
+    .split('\n')[0]
+    .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+    .replace(/\b\d{4}-\d{2}-\d{2}T[\d:.]+Z?\b/g, '<date>')
+    .replace(/\b0x[0-9a-f]+\b/gi, '<hex>')
+    .replace(/\b[0-9a-f]{24}\b/gi, '<id>')
+    .replace(/\d+/g, '<n>')
+    .trim();
+}
+
+/**
+ * Describe the top user frames (file + function, no line numbers,
+ * so unrelated edits that shift lines keep the fingerprint)
+ */
+function getFrameKeys(error) {
+  return (error.frames || [])
+    .filter(f => f.file && !f.isInternal && !f.isNodeModules)
+    .slice(0, FINGERPRINT_FRAMES)
+    .map(f => `${path.relative(process.cwd(), f.file.replace(/^file:\/\//, ''))}:${f.functionName || '<anonymous>'}`);
+}
+
+/**
+ * Compute the fingerprint of a parsed error
+ *
+ * @param {object} error - Parsed error object
+ * @returns {string} - Short hex fingerprint
+ */
+function fingerprintError(error) {
+  const parts = [
+    error.name || 'Error',
+    error.code || '',
+    normalizeMessage(error.message),
+    ...getFrameKeys(error)
+  ];
+
+  return crypto.createHash('sha1').update(parts.join('|')).digest('hex').slice(0, 12);
+}
+
+/**
+ * Where exactly the error happened - changes when the failing code changes
+ */
+function getErrorDetail(error) {
+  const frame = (error.frames || []).find(f => f.file && !f.isInternal && !f.isNodeModules);
+  const location = frame ? `${frame.file}:${frame.line}:${frame.column}` : '';
+  return `${error.message}|${location}`;
+}
+
+/**
+ * Keeps track of fingerprints seen during a nodewise session
+ * Only new fingerprints, or known ones whose details changed since the
+ * last file edit, should be prompted again
+ */
+class FingerprintTracker {
+  constructor() {
+    this.seen = new Map();   // fingerprint -> { count, firstSeen, lastSeen, detail, editGeneration }
+    this.editGeneration = 0;
+  }
+
+  /**
+   * Record an occurrence of an error
+   *
+   * @returns {object} - { fingerprint, isNew, shouldPrompt, count, firstSeen }
+   */
+  record(error) {
+    const fingerprint = fingerprintError(error);
+    const detail = getErrorDetail(error);
+    const now = Date.now();
+    const entry = this.seen.get(fingerprint);
+
+    if (!entry) {
+      this.seen.set(fingerprint, {
+        count: 1,
+        firstSeen: now,
+        lastSeen: now,
+        detail,
+        editGeneration: this.editGeneration
+      });
+      return { fingerprint, isNew: true, shouldPrompt: true, count: 1, firstSeen: now };
+    }
+
+    entry.count++;
+    entry.lastSeen = now;
+
+    // Files were edited since we last asked, and the error looks different now
+    const shouldPrompt = entry.editGeneration !== this.editGeneration && entry.detail !== detail;
+    if (shouldPrompt) {
+      entry.detail = detail;
+      entry.editGeneration = this.editGeneration;
+    }
+
+    return { fingerprint, isNew: false, shouldPrompt, count: entry.count, firstSeen: entry.firstSeen };
+  }
+
+  /**
+   * Note that the user edited files
+   */
+  markEdit() {
+    this.editGeneration++;
+  }
+
+  reset() {
+    this.seen.clear();
+  }
+}
+
+module.exports = {
+  fingerprintError,
+  normalizeMessage,
+  FingerprintTracker
+};
@@ -0,0 +1,175 @@
+/**
+ * history.js
+ *
+ * Persistent error history
+ * Every captured error is appended to .nodewise/history.jsonl in the
+ * project, one JSON object per line:
+ * { id, time, fingerprint, severity, name, message, code, location,
+ *   script, commit, pattern, explanation, raw }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const HISTORY_DIR = '.nodewise';
+const HISTORY_FILE = 'history.jsonl';
+
+// Keep the file small - the raw output is only for `history show`
+const MAX_RAW_LENGTH = 4000;
+
+/**
+ * Get the current git commit of the project (short hash), if any
+ */
+function getGitCommit(cwd) {
+  try {
+    return execSync('git rev-parse --short HEAD', {
+      cwd,
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 2000
+    }).toString().trim() || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+class HistoryStore {
+  /**
+   * @param {string} cwd - Project root
+   */
+  constructor(cwd = process.cwd()) {
+    this.cwd = cwd;
+    this.dir = path.join(cwd, HISTORY_DIR);
+    this.file = path.join(this.dir, HISTORY_FILE);
+    this.nextId = null;
+    this.commit = undefined; // resolved on the first append, see forgetCommit()
+  }
+
+  /**
+   * Look the git commit up again on the next append
+   * Called on restart - the code may have been committed or checked out since
+   */
+  forgetCommit() {
+    this.commit = undefined;
+  }
+
+  /**
+   * Append an entry and return it with its id
+   */
+  append(entry) {
+    if (this.nextId === null) {
+      const entries = this.readAll();
+      this.nextId = entries.length ? entries[entries.length - 1].id + 1 : 1;
+    }
+
+    // One git process per session (or restart), not one per error
+    if (this.commit === undefined) {
+      this.commit = getGitCommit(this.cwd);
+    }
+
+    const record = {
+      id: this.nextId++,
+      time: new Date().toISOString(),
+      commit: this.commit,
+      ...entry,
+      raw: entry.raw && entry.raw.length > MAX_RAW_LENGTH
+        ? entry.raw.slice(0, MAX_RAW_LENGTH) + '\n... (truncated)'
+        : entry.raw
+    };
+
+    this.ensureDir();
+    fs.appendFileSync(this.file, JSON.stringify(record) + '\n', 'utf8');
+    return record;
+  }
+
+  /**
+   * Read all entries, oldest first
+   * Lines that can't be parsed (e.g. a half-written line) are skipped
+   */
+  readAll() {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+
+    return fs.readFileSync(this.file, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Find an entry by id
+   */
+  get(id) {
+    return this.readAll().find(entry => entry.id === Number(id)) || null;
+  }
+
+  /**
+   * Aggregate entries by fingerprint, most frequent first
+   */
+  stats() {
+    const entries = this.readAll();
+    const byFingerprint = new Map();
+    const bySeverity = {};
+
+    entries.forEach((entry) => {
+      bySeverity[entry.severity] = (bySeverity[entry.severity] || 0) + 1;
+
+      const group = byFingerprint.get(entry.fingerprint) || {
+        fingerprint: entry.fingerprint,
+        summary: `${entry.name}: ${entry.message}`,
+        pattern: entry.pattern,
+        count: 0,
+        firstSeen: entry.time,
+        lastSeen: entry.time,
+        lastId: entry.id,
+        commits: new Set()
+      };
+
+      group.count++;
+      group.lastSeen = entry.time;
+      group.lastId = entry.id;
+      if (entry.commit) group.commits.add(entry.commit);
+      byFingerprint.set(entry.fingerprint, group);
+    });
+
+    const errors = [...byFingerprint.values()]
+      .map(group => ({ ...group, commits: [...group.commits] }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      total: entries.length,
+      unique: errors.length,
+      bySeverity,
+      errors
+    };
+  }
+
+  /**
+   * Create .nodewise/ with a .gitignore so history stays out of commits
+   */
+  ensureDir() {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    const gitignore = path.join(this.dir, '.gitignore');
+    if (!fs.existsSync(gitignore)) {
+      fs.writeFileSync(gitignore, `${HISTORY_FILE}\n`, 'utf8');
+    }
+  }
+}
+
+module.exports = {
+  HistoryStore,
+  getGitCommit,
+  HISTORY_DIR,
+  HISTORY_FILE
+};
@@ -7,8 +7,10 @@
 
 const { Runner } = require('./runner');
 const { explain } = require('./explainer');
+const { parseError } = require('./stackParser');
 
 module.exports = {
   Runner,
-  explain
+  explain,
+  parseError
 };
@@ -0,0 +1,276 @@
+/**
+ * patternFormat.js
+ *
+ * Declarative error patterns (JSON / YAML)
+ * Lets patterns be written without JavaScript. A declarative pattern:
+ * {
+ *   "name": "LEDGER_LOCKED",
+ *   "category": "Payments",                                 // optional group for `patterns list`
+ *   "match": "LedgerLockedError: ledger (?<ledger>\\w+)",  // string or list of alternatives
+ *   "flags": "i",                                           // optional regex flags
+ *   "codes": ["ELEDGERLOCKED"],                             // optional error codes
+ *   "captures": ["retry in (?<seconds>\\d+)s"],              // optional extra named groups,
+ *                                                           // or { "regex", "flags" } entries
+ *   "modules": ["express"],                                 // optional framework hints
+ *   "priority": 0,                                          // optional score adjustment
+ *   "summary": "Ledger {{ledger}} is locked by the nightly job.",
+ *   "causes": ["The nightly reconciliation is running"],
+ *   "solution": ["Retry after 02:00", "Ask #payments to unlock it"],
+ *   "docs": ["https://wiki.example.com/ledger-locks"],
+ *   "examples": ["LedgerLockedError: ledger EU01 is locked"], // output it must win (patterns test wants one)
+ *   "counterExamples": ["..."]                              // optional: output it must not win
+ * }
+ *
+ * compilePattern() turns it into the shape errorPatterns.js uses
+ * ({ name, match: RegExp, explain: function, ... }); toDeclarative() goes
+ * the other way, so the built-in patterns can be exported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DECLARATIVE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Solution steps continue on lines indented to the step text
+const STEP_INDENT = '   ';
+
+/**
+ * Escape a string for use in a regex
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a regex given as a string (or a list of alternatives)
+ */
+function compileRegex(source, flags, label) {
+  const alternatives = Array.isArray(source) ? source : [source];
+
+  if (!alternatives.length || alternatives.some(alt => typeof alt !== 'string' || !alt)) {
+    throw new Error(`${label} must be a non-empty string or list of strings`);
+  }
+
+  try {
+    return new RegExp(alternatives.length === 1 ? alternatives[0] : alternatives.map(alt => `(?:${alt})`).join('|'), flags);
+  } catch (e) {
+    throw new Error(`${label} is not a valid regex: ${e.message}`);
+  }
+}
+
+/**
+ * Check an optional list of strings
+ */
+function toStringList(value, label) {
+  if (value === undefined) return [];
+
+  const list = Array.isArray(value) ? value : [value];
+  if (list.some(item => typeof item !== 'string')) {
+    throw new Error(`${label} must be a string or list of strings`);
+  }
+  return list;
+}
+
+/**
+ * Render the explanation text of a declarative pattern
+ * Same layout as the built-in explanations
+ */
+function renderSections({ summary, causes, solution, docs }) {
+  const sections = [summary.trim()];
+
+  if (causes.length) {
+    sections.push(['Common causes:', ...causes.map(cause => `- ${cause}`)].join('\n'));
+  }
+
+  if (solution.length) {
+    const steps = solution.map((step, i) => {
+      const [first, ...rest] = step.split('\n');
+      return [`${i + 1}. ${first}`, ...rest.map(line => STEP_INDENT + line)].join('\n');
+    });
+    sections.push(['Solution:', ...steps].join('\n'));
+  }
+
+  if (docs.length) {
+    sections.push(['Docs:', ...docs.map(link => `- ${link}`)].join('\n'));
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Compile a pattern into the shape the matcher uses
+ * Accepts declarative patterns as well as JS patterns (RegExp `match`,
+ * function or template string `explain`)
+ *
+ * @param {object} definition - The pattern
+ * @param {number} index - Position in the pack, for error messages
+ * @returns {object} - { name, match, explain, category, captures, codes, modules, priority, docs, examples, counterExamples }
+ */
+function compilePattern(definition, index = 0) {
+  if (!definition || typeof definition.name !== 'string' || !definition.name) {
+    throw new Error(`pattern #${index + 1} has no name`);
+  }
+
+  const { name, flags = 'i' } = definition;
+  const label = `pattern ${name}:`;
+  const codes = toStringList(definition.codes, `${label} "codes"`);
+
+  let match = definition.match;
+  if (match === undefined && codes.length) {
+    // Only codes given - match them anywhere in the output
+    match = new RegExp(`\\b(?:${codes.map(escapeRegex).join('|')})\\b`);
+  } else if (!(match instanceof RegExp)) {
+    match = compileRegex(match, flags, `${label} "match"`);
+  }
+
+  const captures = (definition.captures || []).map((capture, i) => {
+    if (capture instanceof RegExp) return capture;
+    if (capture && typeof capture === 'object') {
+      return compileRegex(capture.regex, capture.flags || '', `${label} capture #${i + 1}`);
+    }
+    return compileRegex(capture, flags, `${label} capture #${i + 1}`);
+  });
+
+  let { explain } = definition;
+  if (typeof explain === 'string') {
+    const text = explain.trim();
+    explain = () => text;
+  } else if (typeof explain !== 'function') {
+    if (typeof definition.summary !== 'string' || !definition.summary.trim()) {
+      throw new Error(`${label} needs a "summary" (or "explain")`);
+    }
+
+    const text = renderSections({
+      summary: definition.summary,
+      causes: toStringList(definition.causes, `${label} "causes"`),
+      solution: toStringList(definition.solution, `${label} "solution"`),
+      docs: toStringList(definition.docs, `${label} "docs"`)
+    });
+    explain = () => text;
+  }
+
+  const priority = definition.priority === undefined ? 0 : definition.priority;
+  if (typeof priority !== 'number' || isNaN(priority)) {
+    throw new Error(`${label} "priority" must be a number`);
+  }
+
+  if (definition.category !== undefined && (typeof definition.category !== 'string' || !definition.category.trim())) {
+    throw new Error(`${label} "category" must be a string`);
+  }
+
+  const compiled = { name, match, explain };
+  if (definition.category) compiled.category = definition.category.trim();
+  if (captures.length) compiled.captures = captures;
+  if (codes.length) compiled.codes = codes;
+  if (definition.modules) compiled.modules = toStringList(definition.modules, `${label} "modules"`);
+  if (priority) compiled.priority = priority;
+  if (definition.docs) compiled.docs = toStringList(definition.docs, `${label} "docs"`);
+  if (definition.examples) compiled.examples = toStringList(definition.examples, `${label} "examples"`);
+  if (definition.counterExamples) {
+    compiled.counterExamples = toStringList(definition.counterExamples, `${label} "counterExamples"`);
+  }
+  return compiled;
+}
+
+/**
+ * Split an explanation in the built-in layout back into its sections
+ */
+function parseSections(text) {
+  const summary = [];
+  const causes = [];
+  const solution = [];
+
+  text.trim().split(/\n\s*\n/).forEach((section) => {
+    const [heading, ...lines] = section.split('\n');
+
+    if (heading === 'Common causes:') {
+      lines.forEach((line) => {
+        if (line.startsWith('- ')) {
+          causes.push(line.slice(2));
+        } else {
+          causes[causes.length - 1] += `\n${line}`;
+        }
+      });
+    } else if (heading === 'Solution:') {
+      lines.forEach((line) => {
+        const step = line.match(/^\d+\.\s(.*)$/);
+        if (step) {
+          solution.push(step[1]);
+        } else {
+          const continuation = line.startsWith(STEP_INDENT) ? line.slice(STEP_INDENT.length) : line;
+          solution[solution.length - 1] += `\n${continuation}`;
+        }
+      });
+    } else {
+      summary.push(section);
+    }
+  });
+
+  return { summary: summary.join('\n\n'), causes, solution };
+}
+
+/**
+ * Convert a JS pattern to the declarative format
+ * The explanation is rendered once (with placeholders left in) and split
+ * into summary, causes and solution steps
+ */
+function toDeclarative(pattern) {
+  const definition = { name: pattern.name };
+  if (pattern.category) definition.category = pattern.category;
+  definition.match = pattern.match.source;
+
+  if (pattern.match.flags !== 'i') definition.flags = pattern.match.flags;
+  if (pattern.codes) definition.codes = pattern.codes;
+  if (pattern.captures) {
+    // Captures share the pattern's flags unless they have their own
+    definition.captures = pattern.captures.map(regex =>
+      regex.flags === pattern.match.flags ? regex.source : { regex: regex.source, flags: regex.flags }
+    );
+  }
+  if (pattern.modules) definition.modules = pattern.modules;
+  if (pattern.priority) definition.priority = pattern.priority;
+
+  const { summary, causes, solution } = parseSections(pattern.explain({}, {}));
+  definition.summary = summary;
+  if (causes.length) definition.causes = causes;
+  if (solution.length) definition.solution = solution;
+  if (pattern.docs) definition.docs = pattern.docs;
+  if (pattern.examples) definition.examples = pattern.examples;
+  if (pattern.counterExamples) definition.counterExamples = pattern.counterExamples;
+
+  return definition;
+}
+
+/**
+ * Read a declarative pack file (.json, .yaml, .yml)
+ */
+function readDeclarativeFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+
+  if (path.extname(file) === '.json') {
+    return JSON.parse(text);
+  }
+
+  // Only needed for YAML packs
+  const YAML = require('yaml');
+  return YAML.parse(text);
+}
+
+/**
+ * Serialize a pack in the declarative format
+ */
+function stringifyPack(pack, format = 'json') {
+  if (format === 'yaml') {
+    const YAML = require('yaml');
+    return YAML.stringify(pack, { lineWidth: 0 });
+  }
+  return JSON.stringify(pack, null, 2) + '\n';
+}
+
+module.exports = {
+  compilePattern,
+  toDeclarative,
+  readDeclarativeFile,
+  stringifyPack,
+  DECLARATIVE_EXTENSIONS
+};
@@ -0,0 +1,137 @@
+/**
+ * patternPacks.js
+ *
+ * Extra error patterns shipped as packs
+ * Packs are loaded from the project's .nodewise/patterns/ directory and from
+ * npm packages named nodewise-patterns-* listed in config.patternPacks.
+ *
+ * Pack format (a .js module exporting it, or a .json / .yaml file):
+ * {
+ *   name: "acme-errors",
+ *   version: "1.0.0",
+ *   precedence: 10,   // optional: higher wins when packs define the same pattern
+ *   patterns: [...]   // errorPatterns.js or declarative format (see patternFormat.js)
+ * }
+ *
+ * A pack pattern with the name of a built-in pattern replaces it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HISTORY_DIR } = require('./history');
+const { compilePattern, readDeclarativeFile, DECLARATIVE_EXTENSIONS } = require('./patternFormat');
+
+const PATTERNS_DIR = 'patterns';
+const PACKAGE_PREFIX = /^(@[^/]+\/)?nodewise-patterns-/;
+const PACK_EXTENSIONS = ['.js', '.cjs', ...DECLARATIVE_EXTENSIONS];
+
+/**
+ * Validate a loaded pack
+ *
+ * @param {object} pack - The module's export or the parsed file
+ * @param {string} source - Where it came from, for error messages and display
+ * @returns {object} - { name, version, precedence, source, patterns }
+ */
+function validatePack(pack, source) {
+  if (!pack || typeof pack !== 'object') {
+    throw new Error('a pack must be an object');
+  }
+
+  if (typeof pack.name !== 'string' || !pack.name) {
+    throw new Error('a pack must declare a "name"');
+  }
+
+  if (typeof pack.version !== 'string' || !pack.version) {
+    throw new Error(`pack ${pack.name} must declare a "version"`);
+  }
+
+  const precedence = pack.precedence === undefined ? 0 : pack.precedence;
+  if (typeof precedence !== 'number' || isNaN(precedence)) {
+    throw new Error(`pack ${pack.name}: "precedence" must be a number`);
+  }
+
+  if (!Array.isArray(pack.patterns)) {
+    throw new Error(`pack ${pack.name} must have a "patterns" array`);
+  }
+
+  return {
+    name: pack.name,
+    version: pack.version,
+    precedence,
+    source,
+    patterns: pack.patterns.map(compilePattern)
+  };
+}
+
+/**
+ * Get the pack files in the project's .nodewise/patterns/ directory
+ */
+function getLocalPackFiles(cwd) {
+  const dir = path.join(cwd, HISTORY_DIR, PATTERNS_DIR);
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => PACK_EXTENSIONS.includes(path.extname(file)))
+    .sort()
+    .map(file => path.join(dir, file));
+}
+
+/**
+ * Load a pack file
+ * Modules bypass the require cache so edits are picked up on restart
+ */
+function readPack(file) {
+  if (DECLARATIVE_EXTENSIONS.includes(path.extname(file))) {
+    return readDeclarativeFile(file);
+  }
+
+  delete require.cache[file];
+  return require(file);
+}
+
+/**
+ * Load all pattern packs for a project
+ * A broken pack is reported and skipped - it never stops nodewise
+ *
+ * @param {object} options - { cwd, packages: npm package names from config.patternPacks }
+ * @returns {object} - { packs: sorted highest precedence first, errors: [{ source, message }] }
+ */
+function loadPatternPacks({ cwd = process.cwd(), packages = [] } = {}) {
+  const packs = [];
+  const errors = [];
+
+  const load = (source, resolveFile) => {
+    try {
+      packs.push(validatePack(readPack(resolveFile()), source));
+    } catch (err) {
+      errors.push({ source, message: err.message });
+    }
+  };
+
+  // Project packs come first, so they win ties with npm packs
+  getLocalPackFiles(cwd).forEach((file) => {
+    load(path.relative(cwd, file), () => file);
+  });
+
+  packages.forEach((name) => {
+    if (!PACKAGE_PREFIX.test(name)) {
+      errors.push({ source: name, message: 'pattern pack packages must be named nodewise-patterns-*' });
+      return;
+    }
+    load(name, () => require.resolve(name, { paths: [cwd] }));
+  });
+
+  // Array.prototype.sort is stable - equal precedence keeps load order
+  packs.sort((a, b) => b.precedence - a.precedence);
+
+  return { packs, errors };
+}
+
+module.exports = {
+  loadPatternPacks,
+  validatePack,
+  PATTERNS_DIR
+};
@@ -0,0 +1,278 @@
+/**
+ * patternTests.js
+ *
+ * Pattern fixtures
+ * Every pattern carries `examples` (output it must win) and can carry
+ * `counterExamples` (output it must not win). Running them through
+ * findErrorPattern() against the active patterns - built-ins plus packs -
+ * shows when a regex change starts stealing another pattern's errors.
+ */
+
+const { errorPatterns, getPatterns, findErrorPattern, rankErrorPatterns } = require('./errorPatterns');
+const { extractErrors } = require('./errorAssembler');
+const { parseError, getErrorChain } = require('./stackParser');
+const { findIncompleteCodes } = require('./codeCatalog');
+
+const BUILT_IN = 'built-in';
+
+/**
+ * Real Node.js output for errors that wrap others, and the chain of error
+ * classes each error block in it must assemble into (outermost first)
+ * Patterns only see what the assembler hands over - a member split off or
+ * merged into its sibling is explained as the wrong error.
+ */
+const OUTPUT_FIXTURES = [
+  {
+    name: 'AggregateError thrown with a stack',
+    output: [
+      "/app/jobs.js:3",
+      "throw new AggregateError([a(), b()], 'multiple failures');",
+      "^",
+      "",
+      "AggregateError: multiple failures",
+      "    at Object.<anonymous> (/app/jobs.js:3:7)",
+      "    at Module._compile (node:internal/modules/cjs/loader:1521:14)",
+      "    at Module._extensions..js (node:internal/modules/cjs/loader:1623:10)",
+      "    at Module.load (node:internal/modules/cjs/loader:1266:32)",
+      "    at Module._load (node:internal/modules/cjs/loader:1091:12)",
+      "    at Function.executeUserEntryPoint [as runMain] (node:internal/modules/run_main:164:12)",
+      "    at node:internal/main/run_main_module:28:49 {",
+      "  [errors]: [",
+      "    TypeError: x is not a function",
+      "        at a (/app/jobs.js:1:23)",
+      "        at Object.<anonymous> (/app/jobs.js:3:27)",
+      "        at Module._compile (node:internal/modules/cjs/loader:1521:14)",
+      "        at Module._extensions..js (node:internal/modules/cjs/loader:1623:10)",
+      "        at Module.load (node:internal/modules/cjs/loader:1266:32)",
+      "        at Module._load (node:internal/modules/cjs/loader:1091:12)",
+      "        at Function.executeUserEntryPoint [as runMain] (node:internal/modules/run_main:164:12)",
+      "        at node:internal/main/run_main_module:28:49,",
+      "    RangeError: bad",
+      "        at b (/app/jobs.js:2:23)",
+      "        at Object.<anonymous> (/app/jobs.js:3:32)",
+      "        at Module._compile (node:internal/modules/cjs/loader:1521:14)",
+      "        at Module._extensions..js (node:internal/modules/cjs/loader:1623:10)",
+      "        at Module.load (node:internal/modules/cjs/loader:1266:32)",
+      "        at Module._load (node:internal/modules/cjs/loader:1091:12)",
+      "        at Function.executeUserEntryPoint [as runMain] (node:internal/modules/run_main:164:12)",
+      "        at node:internal/main/run_main_module:28:49",
+      "  ]",
+      "}",
+      "",
+      "Node.js v20.19.5"
+    ].join('\n'),
+    chains: [['AggregateError', 'TypeError', 'RangeError']]
+  },
+  {
+    name: 'Promise.any() rejection (stackless AggregateError)',
+    output: [
+      "node:internal/process/promises:391",
+      "    triggerUncaughtException(err, true /* fromPromise */);",
+      "    ^",
+      "",
+      "[AggregateError: All promises were rejected] {",
+      "  [errors]: [",
+      "    TypeError: x is not a function",
+      "        at a (/app/fetch.js:1:23)",
+      "        at Object.<anonymous> (/app/fetch.js:3:29)",
+      "        at Module._compile (node:internal/modules/cjs/loader:1521:14)",
+      "        at Module._extensions..js (node:internal/modules/cjs/loader:1623:10)",
+      "        at Module.load (node:internal/modules/cjs/loader:1266:32)",
+      "        at Module._load (node:internal/modules/cjs/loader:1091:12)",
+      "        at Function.executeUserEntryPoint [as runMain] (node:internal/modules/run_main:164:12)",
+      "        at node:internal/main/run_main_module:28:49,",
+      "    RangeError: bad",
+      "        at b (/app/fetch.js:2:23)",
+      "        at Object.<anonymous> (/app/fetch.js:3:50)",
+      "        at Module._compile (node:internal/modules/cjs/loader:1521:14)",
+      "        at Module._extensions..js (node:internal/modules/cjs/loader:1623:10)",
+      "        at Module.load (node:internal/modules/cjs/loader:1266:32)",
+      "        at Module._load (node:internal/modules/cjs/loader:1091:12)",
+      "        at Function.executeUserEntryPoint [as runMain] (node:internal/modules/run_main:164:12)",
+      "        at node:internal/main/run_main_module:28:49",
+      "  ]",
+      "}",
+      "",
+      "Node.js v20.19.5"
+    ].join('\n'),
+    chains: [['AggregateError', 'TypeError', 'RangeError']]
+  },
+  {
+    name: 'Error with a [cause]',
+    output: [
+      "/app/db.js:3",
+      "throw new Error('Failed to load users', { cause: inner });",
+      "^",
+      "",
+      "Error: Failed to load users",
+      "    at Object.<anonymous> (/app/db.js:3:7)",
+      "    at Module._compile (node:internal/modules/cjs/loader:1521:14)",
+      "    ... 4 lines matching cause stack trace ...",
+      "    at node:internal/main/run_main_module:28:49 {",
+      "  [cause]: Error: connect ECONNREFUSED 127.0.0.1:5432",
+      "      at Object.<anonymous> (/app/db.js:1:15)",
+      "      at Module._compile (node:internal/modules/cjs/loader:1521:14)",
+      "      at Module._extensions..js (node:internal/modules/cjs/loader:1623:10)",
+      "      at Module.load (node:internal/modules/cjs/loader:1266:32)",
+      "      at Module._load (node:internal/modules/cjs/loader:1091:12)",
+      "      at Function.executeUserEntryPoint [as runMain] (node:internal/modules/run_main:164:12)",
+      "      at node:internal/main/run_main_module:28:49 {",
+      "    code: 'ECONNREFUSED'",
+      "  }",
+      "}",
+      "",
+      "Node.js v20.19.5"
+    ].join('\n'),
+    chains: [['Error', 'Error']]
+  },
+  {
+    name: 'Two errors in an indented log',
+    output: [
+      "  worker 1 failed:",
+      "    TypeError: x is not a function",
+      "        at run (/app/worker.js:8:3)",
+      "    RangeError: Invalid array length",
+      "        at grow (/app/worker.js:14:9)"
+    ].join('\n'),
+    chains: [['TypeError'], ['RangeError']]
+  }
+];
+
+/**
+ * Find names used by more than one pattern
+ * Within one source that is a mistake; across sources the first source
+ * (the one that is active) overrides the others
+ *
+ * @param {object[]} sources - [{ name, patterns }], highest precedence first
+ * @returns {object} - { duplicates: [{ name, source, count }], overrides: [{ name, source, overridden: [source] }] }
+ */
+function findNameConflicts(sources) {
+  const duplicates = [];
+  const definedIn = new Map(); // pattern name -> [source]
+
+  sources.forEach((source) => {
+    const counts = new Map();
+    source.patterns.forEach((pattern) => {
+      counts.set(pattern.name, (counts.get(pattern.name) || 0) + 1);
+    });
+
+    counts.forEach((count, name) => {
+      if (count > 1) duplicates.push({ name, source: source.name, count });
+      if (!definedIn.has(name)) definedIn.set(name, []);
+      definedIn.get(name).push(source.name);
+    });
+  });
+
+  const overrides = [...definedIn.entries()]
+    .filter(([, names]) => names.length > 1)
+    .map(([name, [source, ...overridden]]) => ({ name, source, overridden }));
+
+  return { duplicates, overrides };
+}
+
+/**
+ * Run one example and find which pattern wins it
+ *
+ * @returns {object} - { winner, ranking: [{ pattern, score, reasons }] }
+ */
+function runExample(example) {
+  const winner = findErrorPattern(example);
+  const ranking = rankErrorPatterns(example, { limit: Infinity });
+  return { winner, ranking };
+}
+
+/**
+ * Assemble each output fixture and compare its error chains
+ *
+ * @returns {object[]} - Failures: [{ name, expected: [[class]], actual: [[class]] }]
+ */
+function runOutputFixtures() {
+  return OUTPUT_FIXTURES
+    .map(({ name, output, chains }) => {
+      const actual = extractErrors(output)
+        .map(text => getErrorChain(parseError(text)).map(link => link.error.name));
+      return { name, expected: chains, actual };
+    })
+    .filter(({ expected, actual }) => JSON.stringify(expected) !== JSON.stringify(actual));
+}
+
+/**
+ * Run every pattern's examples and counter-examples
+ * Packs must already be active (usePatternPacks)
+ *
+ * @param {object[]} packs - Loaded packs, as returned by loadPatternPacks()
+ * @returns {object} - {
+ *   patterns, examples,
+ *   failures: [{ type: 'no-match' | 'shadowed' | 'counter', pattern, example, winner, score, winnerScore }],
+ *   duplicates, overrides,
+ *   untested: patterns without examples,
+ *   outputFailures: output fixtures that assemble wrong (see runOutputFixtures()),
+ *   incompleteCodes: code catalog entries missing a field (see findIncompleteCodes()),
+ *   unreached: other patterns no example resolves to
+ * }
+ */
+function runPatternTests(packs = []) {
+  const patterns = getPatterns();
+  const failures = [];
+  const reached = new Set();
+  let examples = 0;
+
+  patterns.forEach((pattern) => {
+    (pattern.examples || []).forEach((example) => {
+      examples++;
+      const { winner, ranking } = runExample(example);
+      reached.add(winner);
+      if (winner === pattern) return;
+
+      const own = ranking.find(result => result.pattern === pattern);
+      failures.push({
+        type: own ? 'shadowed' : 'no-match',
+        pattern,
+        example,
+        winner,
+        score: own ? own.score : null,
+        winnerScore: winner.catalog ? null : ranking[0].score
+      });
+    });
+
+    (pattern.counterExamples || []).forEach((example) => {
+      examples++;
+      const { winner, ranking } = runExample(example);
+      reached.add(winner);
+      if (winner !== pattern) return;
+
+      failures.push({
+        type: 'counter',
+        pattern,
+        example,
+        winner,
+        score: ranking.length ? ranking[0].score : null,
+        winnerScore: ranking.length ? ranking[0].score : null
+      });
+    });
+  });
+
+  const sources = [
+    ...packs.map(pack => ({ name: `${pack.name}@${pack.version}`, patterns: pack.patterns })),
+    { name: BUILT_IN, patterns: errorPatterns }
+  ];
+
+  const untested = patterns.filter(pattern => !(pattern.examples || []).length);
+
+  return {
+    patterns: patterns.length,
+    examples,
+    failures,
+    ...findNameConflicts(sources),
+    untested,
+    outputFailures: runOutputFixtures(),
+    incompleteCodes: findIncompleteCodes(),
+    unreached: patterns.filter(pattern => !reached.has(pattern) && !untested.includes(pattern))
+  };
+}
+
+module.exports = {
+  runPatternTests,
+  runOutputFixtures,
+  findNameConflicts
+};
@@ -0,0 +1,206 @@
+/**
+ * processTree.js
+ *
+ * Process tree termination
+ * The app is spawned as the leader of its own process group (POSIX), so
+ * grandchildren started by `npm run`, cluster workers or child_process
+ * calls can be signalled together with it. Processes that left the group
+ * (e.g. spawned with `detached`) are found by walking the parent pids.
+ */
+
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+const IS_WINDOWS = process.platform === 'win32';
+
+// How often to check whether the tree is gone
+const POLL_INTERVAL = 100;
+
+/**
+ * Check if a signal name is known on this platform
+ */
+function isValidSignal(signal) {
+  return Object.prototype.hasOwnProperty.call(os.constants.signals, signal);
+}
+
+/**
+ * Check if a process (or, with a negative pid, a process group) still exists
+ */
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM: it exists, it's just not ours
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * Read the process table
+ * Zombies are left out - they have exited and only wait to be reaped
+ *
+ * @returns {object[]|null} - [{ pid, ppid, pgid }], null if it can't be read (e.g. on Windows)
+ */
+function listProcesses() {
+  if (IS_WINDOWS) return null;
+
+  let output;
+  try {
+    output = execFileSync('ps', ['-A', '-o', 'pid=,ppid=,pgid=,stat='], {
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 2000
+    }).toString();
+  } catch (e) {
+    return null;
+  }
+
+  return output.split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .filter(([pid, ppid, pgid, stat]) => pid && stat && !stat.startsWith('Z'))
+    .map(([pid, ppid, pgid]) => ({ pid: Number(pid), ppid: Number(ppid), pgid: Number(pgid) }));
+}
+
+/**
+ * Get all descendant pids of a process, children first
+ *
+ * @returns {number[]} - Empty if the process table can't be read
+ */
+function getDescendants(pid) {
+  const processes = listProcesses();
+  if (!processes) return [];
+
+  const children = new Map(); // ppid -> [pid]
+  processes.forEach((proc) => {
+    if (!children.has(proc.ppid)) children.set(proc.ppid, []);
+    children.get(proc.ppid).push(proc.pid);
+  });
+
+  const descendants = [];
+  const queue = [pid];
+  while (queue.length) {
+    const next = children.get(queue.shift()) || [];
+    descendants.push(...next);
+    queue.push(...next);
+  }
+  return descendants;
+}
+
+/**
+ * Send a signal to a process and everything it started
+ *
+ * @param {number} pid - Process group leader (spawned with `detached: true` on POSIX)
+ * @param {number[]} extraPids - Descendants that may have left the group
+ */
+function signalTree(pid, signal, extraPids = []) {
+  if (IS_WINDOWS) {
+    // taskkill can't send POSIX signals - /T walks the tree, /F forces it
+    const args = ['/pid', String(pid), '/T'];
+    if (signal === 'SIGKILL') args.push('/F');
+    try {
+      execFileSync('taskkill', args, { stdio: 'ignore', timeout: 5000 });
+    } catch (e) {
+      // Already gone
+    }
+    return;
+  }
+
+  try {
+    process.kill(-pid, signal);
+  } catch (e) {
+    // Group already gone - fall back to the leader itself
+    try {
+      process.kill(pid, signal);
+    } catch (err) {
+      // Already gone
+    }
+  }
+
+  extraPids.forEach((extraPid) => {
+    try {
+      process.kill(extraPid, signal);
+    } catch (e) {
+      // Already gone
+    }
+  });
+}
+
+/**
+ * Get the pids of the tree that are still running
+ */
+function getSurvivors(pid, knownPids) {
+  const processes = listProcesses();
+
+  if (!processes) {
+    return knownPids.filter(isAlive);
+  }
+
+  // Known pids plus members of the group started after we looked
+  return processes
+    .filter(proc => knownPids.includes(proc.pid) || proc.pgid === pid)
+    .map(proc => proc.pid);
+}
+
+/**
+ * Wait until none of the pids are running, or the timeout passes
+ *
+ * @returns {Promise<number[]>} - pids still running
+ */
+function waitForExit(pid, knownPids, timeout) {
+  const deadline = Date.now() + timeout;
+
+  return new Promise((resolve) => {
+    const check = () => {
+      const survivors = getSurvivors(pid, knownPids);
+      if (!survivors.length || Date.now() >= deadline) {
+        resolve(survivors);
+        return;
+      }
+      setTimeout(check, POLL_INTERVAL);
+    };
+    check();
+  });
+}
+
+/**
+ * Terminate a process tree: send `signal`, give it `timeout` ms to exit,
+ * then SIGKILL whatever is left
+ * Works after the leader exited too - the group lives on while any member does
+ *
+ * @param {number} pid - Process group leader
+ * @param {object} options - { signal = 'SIGTERM', timeout = 2000, extraPids = [] }
+ *   extraPids: processes known to belong to the tree that may have left the group
+ * @returns {Promise<number[]>} - pids that survived even SIGKILL (should be empty)
+ */
+async function terminateTree(pid, { signal = 'SIGTERM', timeout = 2000, extraPids = [] } = {}) {
+  // Collect descendants first - once their parent is gone they are reparented
+  const descendants = [...new Set([...getDescendants(pid), ...extraPids])].filter(p => p !== pid);
+  const knownPids = [pid, ...descendants];
+
+  signalTree(pid, signal, descendants);
+
+  let survivors = await waitForExit(pid, knownPids, timeout);
+  if (!survivors.length) {
+    return [];
+  }
+
+  signalTree(pid, 'SIGKILL', survivors.filter(p => p !== pid));
+  survivors = await waitForExit(pid, survivors, 1000);
+  return survivors;
+}
+
+/**
+ * Kill a process tree right away, without waiting
+ * Used when nodewise itself is exiting
+ */
+function killTreeSync(pid, extraPids = []) {
+  signalTree(pid, 'SIGKILL', [...new Set([...getDescendants(pid), ...extraPids])]);
+}
+
+module.exports = {
+  terminateTree,
+  killTreeSync,
+  getDescendants,
+  isAlive,
+  isValidSignal
+};
@@ -0,0 +1,82 @@
+/**
+ * projectDependencies.js
+ *
+ * What the target project depends on
+ * Reads the project's package.json and looks up the installed version of
+ * each dependency in node_modules, so framework patterns (the ones with
+ * `modules`) can be preferred when the framework is installed and explain
+ * the version that actually runs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * Read a JSON file, null if it's missing or broken
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Find the version of a package installed for the project
+ * Walks up from cwd like require() does; reads package.json directly since
+ * packages with "exports" don't always allow require('pkg/package.json')
+ *
+ * @returns {string|null} - The installed version, null if not installed
+ */
+function getInstalledVersion(name, cwd) {
+  let dir = path.resolve(cwd);
+
+  for (;;) {
+    const pkg = readJson(path.join(dir, 'node_modules', name, 'package.json'));
+    if (pkg && pkg.version) {
+      return pkg.version;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Read the project's dependencies
+ *
+ * @param {string} cwd - Project root (where package.json is)
+ * @returns {Map<string, object>|null} - name -> { version, range, installed },
+ *   null without a package.json. `version` is the installed version, or the
+ *   declared range when the package isn't installed.
+ */
+function readProjectDependencies(cwd = process.cwd()) {
+  const pkg = readJson(path.join(cwd, 'package.json'));
+  if (!pkg) return null;
+
+  const dependencies = new Map();
+
+  DEPENDENCY_FIELDS.forEach((field) => {
+    Object.entries(pkg[field] || {}).forEach(([name, range]) => {
+      if (dependencies.has(name)) return;
+
+      const version = getInstalledVersion(name, cwd);
+      dependencies.set(name, {
+        version: version || range,
+        range,
+        installed: Boolean(version)
+      });
+    });
+  });
+
+  return dependencies;
+}
+
+module.exports = {
+  readProjectDependencies,
+  getInstalledVersion
+};
@@ -0,0 +1,121 @@
+/**
+ * register.js
+ *
+ * In-process error capture (nodewise/register)
+ * Preloaded into the app by the Runner (--require), so users don't need to
+ * change their code. Reports uncaught exceptions, unhandled rejections
+ * and warnings to nodewise as structured error objects (including code,
+ * cause, errors and custom properties), and the exit code and last error
+ * when the process exits, through the report file named in
+ * NODEWISE_REPORT_FILE (see reportChannel.js).
+ *
+ * NODE_OPTIONS loads the hook into every node process of the app's tree -
+ * launchers like npm, the app, its workers and forked children - and each
+ * one reports its own errors.
+ *
+ * Node's default behavior is kept: errors are observed with
+ * 'uncaughtExceptionMonitor', so the app still prints and exits as usual.
+ * Unhandled rejections reach the monitor with origin 'unhandledRejection'.
+ */
+
+const fs = require('fs');
+const util = require('util');
+
+const MESSAGE_TYPE = 'nodewise:report';
+const MAX_DEPTH = 5;
+
+// Set by the Runner; identifies reports meant for nodewise
+const token = process.env.NODEWISE_REPORT_TOKEN;
+const reportFile = process.env.NODEWISE_REPORT_FILE;
+
+// Properties every error has - everything else is a custom property
+const STANDARD_PROPERTIES = ['name', 'message', 'stack', 'code', 'cause', 'errors'];
+
+// One-line summary of the last uncaught error, for the exit report
+let lastError = null;
+
+/**
+ * Convert an error (or any thrown value) into a plain, JSON-safe object
+ */
+function serializeError(value, depth = 0) {
+  if (!(value instanceof Error)) {
+    return {
+      name: 'NonError',
+      message: typeof value === 'string' ? value : util.inspect(value, { depth: 2 }),
+      stack: null,
+      code: null,
+      properties: {}
+    };
+  }
+
+  const serialized = {
+    name: value.name,
+    message: value.message,
+    stack: value.stack || null,
+    code: value.code !== undefined ? String(value.code) : null,
+    properties: {}
+  };
+
+  // Own enumerable properties like errno, syscall, path, status, ...
+  Object.keys(value).forEach((key) => {
+    if (STANDARD_PROPERTIES.includes(key)) return;
+    const prop = value[key];
+    serialized.properties[key] = prop === null || ['string', 'number', 'boolean'].includes(typeof prop)
+      ? prop
+      : util.inspect(prop, { depth: 1, breakLength: Infinity });
+  });
+
+  if (depth < MAX_DEPTH) {
+    if (value.cause !== undefined) {
+      serialized.cause = serializeError(value.cause, depth + 1);
+    }
+    if (Array.isArray(value.errors)) {
+      serialized.errors = value.errors.map(err => serializeError(err, depth + 1));
+    }
+  }
+
+  // Node's own rendering, for display and pattern matching
+  if (depth === 0) {
+    serialized.inspected = util.inspect(value, { depth: MAX_DEPTH });
+  }
+
+  return serialized;
+}
+
+/**
+ * Send a report to nodewise
+ * Synchronous, so it is written even when the process dies right after
+ */
+function report(kind, payload) {
+  const message = { type: MESSAGE_TYPE, token, kind, pid: process.pid, time: Date.now(), ...payload };
+  try {
+    fs.appendFileSync(reportFile, JSON.stringify(message) + '\n');
+  } catch (e) {
+    // nodewise is gone - it still had the stderr output
+  }
+}
+
+if (token && reportFile) {
+  process.on('uncaughtExceptionMonitor', (error, origin) => {
+    const kind = origin === 'unhandledRejection' ? 'unhandledRejection' : 'uncaughtException';
+    // Without an uncaughtException handler of its own the app is about to crash
+    const fatal = process.listenerCount('uncaughtException') === 0;
+    const serialized = serializeError(error);
+    lastError = `${serialized.name}: ${serialized.message.split('\n')[0]}`;
+    report(kind, { error: serialized, fatal });
+  });
+
+  // Under a launcher (npm run dev) this is the app's own exit code, not npm's
+  process.on('exit', (code) => {
+    report('exit', { code, lastError });
+  });
+
+  process.on('warning', (warning) => {
+    report('warning', { error: serializeError(warning) });
+  });
+}
+
+module.exports = {
+  serializeError,
+  MESSAGE_TYPE
+};
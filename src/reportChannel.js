@@ -0,0 +1,109 @@
+/**
+ * reportChannel.js
+ *
+ * Where the register hook sends its reports
+ * An IPC channel would only reach the process nodewise spawned, and launchers
+ * (`npm run dev`, `pnpm`, shells) are that process, not the app. Reports
+ * are appended to a file instead, whose path every process in the app's
+ * tree inherits through NODEWISE_REPORT_FILE. register.js writes with
+ * appendFileSync, so a report made right before a crash still lands.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const REPORT_FILE_ENV = 'NODEWISE_REPORT_FILE';
+
+class ReportChannel {
+  /**
+   * @param {object} options
+   * @param {function} options.onMessage - Called with each report object
+   */
+  constructor(options = {}) {
+    this.onMessage = options.onMessage || (() => {});
+    this.file = null;
+    this.offset = 0;
+    this.partialLine = '';
+    this.watcher = null;
+  }
+
+  /**
+   * Create the report file and start watching it (once per session)
+   *
+   * @returns {string} - The file's path, for NODEWISE_REPORT_FILE
+   */
+  open() {
+    if (this.file) return this.file;
+
+    this.file = path.join(os.tmpdir(), `nodewise-${process.pid}-${crypto.randomBytes(4).toString('hex')}.jsonl`);
+    fs.writeFileSync(this.file, '');
+
+    this.watcher = fs.watch(this.file, () => this.drain());
+    this.watcher.on('error', () => {}); // drain() still runs when the app exits
+
+    return this.file;
+  }
+
+  /**
+   * Read the reports written since the last call
+   */
+  drain() {
+    if (!this.file) return;
+
+    let text;
+    try {
+      const fd = fs.openSync(this.file, 'r');
+      try {
+        const size = fs.fstatSync(fd).size;
+        if (size <= this.offset) return;
+
+        const buffer = Buffer.alloc(size - this.offset);
+        fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+        this.offset = size;
+        text = buffer.toString('utf8');
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (e) {
+      return;
+    }
+
+    const lines = (this.partialLine + text).split('\n');
+    this.partialLine = lines.pop();
+
+    lines.forEach((line) => {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (e) {
+        return; // Not a report
+      }
+      this.onMessage(message);
+    });
+  }
+
+  /**
+   * Stop watching and remove the file
+   */
+  close() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    if (this.file) {
+      try {
+        fs.unlinkSync(this.file);
+      } catch (e) {
+        // Already gone
+      }
+      this.file = null;
+    }
+  }
+}
+
+module.exports = {
+  ReportChannel,
+  REPORT_FILE_ENV
+};
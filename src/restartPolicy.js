@@ -0,0 +1,135 @@
+/**
+ * restartPolicy.js
+ *
+ * Restart policy engine
+ * Decides whether the app is restarted after a file change or an exit:
+ * - never:     never restart
+ * - on-change: restart when watched files change (default)
+ * - on-crash:  restart when the app crashes (non-zero exit)
+ * - always:    restart on file changes and whenever the app exits
+ *
+ * Exit restarts (crashes, and clean exits in `always` mode) use exponential
+ * backoff. Too many exits within the time window put the policy in a
+ * "crash loop" state that stops restarting until the next file change.
+ */
+
+const RESTART_MODES = ['never', 'on-change', 'on-crash', 'always'];
+
+// Crash loop summary entry for exits with code 0
+const CLEAN_EXIT = 'Exited with code 0';
+
+const DEFAULT_OPTIONS = {
+  initialDelay: 1000,   // first crash restart after 1s
+  maxDelay: 30000,      // never wait longer than 30s
+  factor: 2,            // 1s, 2s, 4s, 8s, ...
+  maxRestarts: 5,       // exit restarts allowed within the window
+  window: 60000         // 60 seconds
+};
+
+/**
+ * Normalize config.autoRestart into a restart mode
+ * Older configs store a boolean: true means restart on change
+ */
+function resolveMode(autoRestart) {
+  if (autoRestart === undefined || autoRestart === true) return 'on-change';
+  if (autoRestart === false) return 'never';
+
+  if (!RESTART_MODES.includes(autoRestart)) {
+    throw new Error(`autoRestart must be one of: ${RESTART_MODES.join(', ')}`);
+  }
+  return autoRestart;
+}
+
+class RestartPolicy {
+  /**
+   * @param {object} config - nodewise config ({ autoRestart, restart: { ... } })
+   */
+  constructor(config = {}) {
+    this.mode = resolveMode(config.autoRestart);
+    this.options = { ...DEFAULT_OPTIONS, ...config.restart };
+    this.crashes = [];         // [{ time, summary }] exits within the window
+    this.isCrashLoop = false;
+  }
+
+  /**
+   * Whether file changes should restart the app
+   */
+  restartsOnChange() {
+    return this.mode === 'on-change' || this.mode === 'always';
+  }
+
+  /**
+   * Decide what to do after the app exited
+   *
+   * @param {number|null} code - Exit code
+   * @param {string} errorSummary - One-line summary of the last error (optional)
+   * @returns {object} - { action: 'restart', delay, attempt } | { action: 'wait' } | { action: 'crash-loop', summary }
+   */
+  recordExit(code, errorSummary = '') {
+    const crashed = code !== 0;
+
+    if (this.isCrashLoop) {
+      return { action: 'wait' };
+    }
+
+    // An app that exits 0 right away would otherwise be respawned in a tight loop
+    const restarts = crashed
+      ? this.mode === 'on-crash' || this.mode === 'always'
+      : this.mode === 'always';
+    if (!restarts) {
+      return { action: 'wait' };
+    }
+
+    const now = Date.now();
+    this.crashes = this.crashes.filter(c => now - c.time < this.options.window);
+    this.crashes.push({ time: now, summary: crashed ? errorSummary : CLEAN_EXIT });
+
+    if (this.crashes.length > this.options.maxRestarts) {
+      this.isCrashLoop = true;
+      return { action: 'crash-loop', summary: this.getCrashSummary() };
+    }
+
+    const attempt = this.crashes.length;
+    const delay = Math.min(
+      this.options.initialDelay * Math.pow(this.options.factor, attempt - 1),
+      this.options.maxDelay
+    );
+
+    return { action: 'restart', delay, attempt };
+  }
+
+  /**
+   * Summarize the crashes that led to the crash loop
+   */
+  getCrashSummary() {
+    const counts = new Map();
+    this.crashes.forEach(({ summary }) => {
+      const key = summary || 'Unknown error';
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    // Most frequent error first
+    const [error, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+
+    return {
+      crashes: this.crashes.length,
+      clean: this.crashes.every(({ summary }) => summary === CLEAN_EXIT),
+      window: this.options.window,
+      error,
+      count
+    };
+  }
+
+  /**
+   * Forget previous exits (e.g. after the user edited a file)
+   */
+  reset() {
+    this.crashes = [];
+    this.isCrashLoop = false;
+  }
+}
+
+module.exports = {
+  RestartPolicy,
+  RESTART_MODES
+};
@@ -3,16 +3,127 @@
  * 
  * Process runner and watcher
  * - Spawns child process
- * - Captures stderr for errors
+ * - Captures stderr/stdout and assembles complete error blocks
  * - Watches files for changes
- * - Restarts on change
+ * - Restarts on change and/or crash according to the restart policy
  */
 
 const { spawn } = require('child_process');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
 const chokidar = require('chokidar');
 const chalk = require('chalk');
 const { explain } = require('./explainer');
 const { showInteractiveExplainer } = require('./explainer/interactive');
+const { parseError, getUserFrame, getRootCauses } = require('./stackParser');
+const { applySourceMaps } = require('./sourceMaps');
+const { ErrorAssembler } = require('./errorAssembler');
+const { RestartPolicy } = require('./restartPolicy');
+const { MESSAGE_TYPE } = require('./register');
+const { ReportChannel, REPORT_FILE_ENV } = require('./reportChannel');
+const { StdinRouter } = require('./stdinRouter');
+const {
+  classifyError, compileIgnoreRules, isIgnored, getSeverityAction, validateSeverityActions
+} = require('./classifier');
+const { FingerprintTracker } = require('./fingerprint');
+const { HistoryStore } = require('./history');
+const { runHistoryCommand } = require('./commands/history');
+const { terminateTree, killTreeSync } = require('./processTree');
+const { findErrorPattern, usePatternPacks, useProjectDependencies, getPatterns } = require('./errorPatterns');
+const { loadPatternPacks } = require('./patternPacks');
+const { readProjectDependencies } = require('./projectDependencies');
+
+// Preloaded into the app to report errors (nodewise/register)
+const REGISTER_PATH = require.resolve('./register');
+
+// The same error reported by the register hook and scraped from stderr counts once
+const DUPLICATE_WINDOW = 2000;
+
+// Reports arrive before Node prints the error - let the output land first
+const REPORT_SETTLE_DELAY = 300;
+
+// Longest wait for an error block the app is still printing
+const MAX_OUTPUT_WAIT = 2000;
+
+// Runtimes that run scripts from package.json rather than a file
+const PACKAGE_MANAGERS = ['npm', 'npx', 'yarn', 'pnpm', 'bun'];
+
+// Inspector flags can't go through NODE_OPTIONS: every node process a
+// package manager starts would try to open the debugger on the same port
+const INSPECTOR_FLAG_REGEX = /^--(inspect|inspect-brk|inspect-wait|inspect-port|debug-port)(=|$)/;
+
+/**
+ * Split a command string into words, honoring simple quotes
+ * e.g. 'node --loader "ts-node/esm"' -> ['node', '--loader', 'ts-node/esm']
+ */
+function splitCommand(command) {
+  const words = command.match(/"[^"]*"|'[^']*'|\S+/g) || [];
+  return words.map(word => word.replace(/^(["'])(.*)\1$/, '$2'));
+}
+
+/**
+ * Reject runtime flags that can't be handed to a package manager
+ */
+function validateNodeArgs(config) {
+  const [command] = splitCommand(config.exec || 'node');
+  if (!PACKAGE_MANAGERS.includes(command)) return;
+
+  const flag = (config.nodeArgs || []).find(arg => INSPECTOR_FLAG_REGEX.test(arg));
+  if (flag) {
+    throw new Error(`${flag} can't be used with exec "${config.exec}": ${command} gets node flags through NODE_OPTIONS, ` +
+      'so every node process it starts would open the inspector on the same port. ' +
+      'Put the flag in the package.json script, or run the script with node directly');
+  }
+}
+
+// Commands that can be typed into the console while nodewise runs
+// All but nodemon's "rs" start with ":" so lines like "q" still reach the app
+const CONSOLE_COMMANDS = {
+  rs: 'restart the app',
+  ':e': 'explain the last error again',
+  ':h': 'show error history',
+  ':c': 'clear the screen',
+  ':q': 'quit nodewise'
+};
+
+// Watcher events that trigger a restart
+const WATCH_EVENTS = ['add', 'change', 'unlink'];
+
+const DEFAULT_EXTENSIONS = ['js', 'mjs', 'cjs', 'ts', 'json'];
+const DEFAULT_IGNORE = ['node_modules', '.git'];
+const DEFAULT_DELAY = 200;
+
+/**
+ * Turn plain names like "node_modules" into globs matching them anywhere
+ */
+function toIgnoreGlobs(pattern) {
+  if (/[*?{}[\]!]/.test(pattern) || pattern.includes('/')) {
+    return [pattern];
+  }
+  return [`**/${pattern}`, `**/${pattern}/**`];
+}
+
+/**
+ * Resolve watch paths, extensions, ignore globs and delay from config
+ */
+function getWatchOptions(config) {
+  const ext = (typeof config.ext === 'string' ? config.ext.split(',') : (config.ext || DEFAULT_EXTENSIONS))
+    .map(e => e.trim().replace(/^\./, ''))
+    .filter(Boolean);
+
+  // An explicitly watched extension wins over an ignore entry for the same
+  // dotfile (--ext env with ".env" in ignorePatterns)
+  const ignorePatterns = (config.ignorePatterns || DEFAULT_IGNORE)
+    .filter(pattern => !ext.some(e => pattern === `.${e}`));
+
+  return {
+    paths: config.watch && config.watch.length ? config.watch : ['.'],
+    ext,
+    ignored: ignorePatterns.flatMap(toIgnoreGlobs),
+    delay: typeof config.delay === 'number' ? config.delay : DEFAULT_DELAY
+  };
+}
 
 class Runner {
   constructor(scriptPath, args = [], config = {}) {
@@ -20,11 +131,33 @@ class Runner {
     this.args = args;
     this.config = config;
     this.child = null;
+    this.childTree = null; // { pid, pids } - outlives the child, its descendants may not exit with it
     this.watcher = null;
     this.isRestarting = false;
-    this.lastErrorExplanationTime = 0;
-    this.isProcessExiting = false;
-    this.ignorePatterns = config.ignorePatterns || ['node_modules', '.git', '.env'];
+    this.restartTimer = null;
+    this.restartPolicy = new RestartPolicy(config);
+    this.lastErrorSummary = '';
+    this.recentErrors = [];
+    this.reportToken = crypto.randomBytes(8).toString('hex');
+    this.appExit = null; // { code, lastError } from the first process in the tree that failed
+    this.reports = new ReportChannel({ onMessage: message => this.handleReport(message) });
+    this.stdinRouter = new StdinRouter(process.stdin);
+    this.isInteractive = config.prompt !== false;
+    this.lastError = null;
+    this.hasShownCommands = false;
+    this.ignoreRules = compileIgnoreRules(config.ignoreRules);
+    validateSeverityActions(config.severityActions);
+    validateNodeArgs(config);
+    this.fingerprints = new FingerprintTracker();
+    this.history = config.history === false ? null : new HistoryStore(process.cwd());
+    this.explainQueue = Promise.resolve();
+    this.watchOptions = getWatchOptions(config);
+    this.changedFiles = new Set();
+    this.changeTimer = null;
+    this.stoppedChildren = new WeakSet(); // children nodewise killed itself
+    this.isShuttingDown = false;
+    this.patternPackSummary = '';
+    this.frameworkSummary = '';
   }
 
   /**
@@ -32,84 +165,466 @@ class Runner {
    */
   start() {
     if (this.child) {
-      this.stop();
+      this.killChild();
     }
+    this.appExit = null;
 
-    console.log(chalk.blue(`\n▶ Starting: ${this.scriptPath}\n`));
+    const { command, args, env } = this.getSpawnOptions();
 
-    // Set environment variable to indicate nodewise is active
-    const env = {
-      ...process.env,
-      NODEWISE_ACTIVE: 'true'
-    };
+    console.log(chalk.blue(`\n▶ Starting: ${[command, ...args].join(' ')}\n`));
+
+    // nodewise owns stdin and forwards it, so prompts don't fight the app for keys
+    this.stdinRouter.start();
+
+    if (this.isInteractive && this.config.commands !== false) {
+      this.stdinRouter.setCommandHandler(line => this.handleCommand(line));
+      this.showCommands();
+    }
 
-    this.child = spawn('node', [this.scriptPath, ...this.args], {
-      stdio: ['inherit', 'pipe', 'pipe'],  // Capture both stdout and stderr
-      env: env
+    this.loadPatterns();
+    if (this.history) this.history.forgetCommit();
+
+    this.child = spawn(command, args, {
+      stdio: ['pipe', 'pipe', 'pipe'],  // Forward stdin, capture stdout/stderr
+      env: env,
+      shell: process.platform === 'win32',  // npm, tsx etc. are .cmd shims on Windows
+      detached: process.platform !== 'win32'  // Own process group, so the whole tree can be killed
     });
 
-    // Capture both stderr and stdout for errors
-    let errorBuffer = '';
-    let lastErrorTime = 0;
+    // Assemble complete error blocks from both stderr and stdout
+    const isErrorStart = (line) => this.isErrorOutput(line);
+    const stderrAssembler = new ErrorAssembler({ onError: (text) => this.handleError(text, 'stderr'), isErrorStart });
+    const stdoutAssembler = new ErrorAssembler({ onError: (text) => this.handleError(text, 'stdout'), isErrorStart });
+    this.assemblers = [stderrAssembler, stdoutAssembler];
 
     // Capture stderr
     this.child.stderr.on('data', (data) => {
       const text = data.toString();
       process.stderr.write(text);
-      errorBuffer += text;
-      
-      // Detect errors in stderr and explain them immediately
-      if (this.isErrorOutput(text)) {
-        this.explainErrorWithDebounce(text);
-        errorBuffer = ''; // Reset buffer after explanation
-      }
+      stderrAssembler.push(text);
     });
+    this.child.stderr.on('end', () => stderrAssembler.flush());
 
     // Also capture stdout for runtime errors that get logged
     this.child.stdout.on('data', (data) => {
       const text = data.toString();
       process.stdout.write(text);
-      // Check if this looks like an error logged to stdout
-      if (this.isErrorOutput(text)) {
-        errorBuffer += text;
-        // Detect errors in stdout and explain them immediately
-        this.explainErrorWithDebounce(text);
-        errorBuffer = ''; // Reset buffer after explanation
-      }
+      stdoutAssembler.push(text);
     });
+    this.child.stdout.on('end', () => stdoutAssembler.flush());
+
+    this.stdinRouter.attach(this.child.stdin);
 
     this.child.on('error', (err) => {
       console.error(chalk.red(`\n✗ Error spawning process: ${err.message}\n`));
-      this.handleError(errorBuffer);
     });
 
-    this.child.on('exit', (code, signal) => {
-      this.isProcessExiting = true;
-      
-      if (code !== 0 && code !== null) {
-        // Process exited with error
-        if (!this.isRestarting && errorBuffer) {
-          this.handleError(errorBuffer);
-        }
-      } else if (signal) {
+    const child = this.child;
+    if (child.pid) {
+      // The child leads its own process group - its pid is the group id
+      this.childTree = { pid: child.pid, pids: new Set() };
+    }
+
+    child.on('exit', (code, signal) => {
+      if (signal && code === null && !this.stoppedChildren.has(child)) {
         console.log(chalk.yellow(`\nProcess terminated by signal ${signal}\n`));
       }
 
-      this.child = null;
-      errorBuffer = '';
-      this.isProcessExiting = false;
+      if (this.child === child) {
+        this.child = null;
+      }
+      this.stdinRouter.detach(child.stdin);
+    });
+
+    // 'close' fires after stdio ended, so the crash error has been queued by now
+    child.on('close', (code, signal) => {
+      // Reports written right before the exit may not have been picked up yet
+      this.reports.drain();
+
+      // Killed by nodewise itself (restart/stop) - not a crash
+      if (this.stoppedChildren.has(child)) return;
+
+      // Shell convention for signals: 128 + signal number
+      const exitCode = code !== null ? code : 128 + (os.constants.signals[signal] || 0);
+      this.handleExit(exitCode);
     });
 
     // Watch for file changes
-    this.setupWatcher();
+    if (!this.watcher) {
+      this.setupWatcher();
+    }
+  }
+
+  /**
+   * Build the command, arguments and environment used to launch the target
+   * Supports custom runtimes via config.exec (tsx, ts-node, "npm run dev", ...)
+   * and runtime flags via config.nodeArgs (--inspect, --enable-source-maps, ...)
+   */
+  getSpawnOptions() {
+    const [command, ...execArgs] = splitCommand(this.config.exec || 'node');
+    const nodeArgs = this.config.nodeArgs || [];
+
+    // Set environment variable to indicate nodewise is active
+    // The register hook goes through NODE_OPTIONS so it also loads under
+    // tsx, ts-node and package manager scripts
+    const nodeOptions = [`--require "${REGISTER_PATH}"`, process.env.NODE_OPTIONS];
+    const env = {
+      ...process.env,
+      NODEWISE_ACTIVE: 'true',
+      NODEWISE_REPORT_TOKEN: this.reportToken,
+      [REPORT_FILE_ENV]: this.reports.open()  // structured reports from the register hook
+    };
+
+    const args = [...execArgs];
+
+    if (PACKAGE_MANAGERS.includes(command)) {
+      // Package managers don't take node flags - hand them over via NODE_OPTIONS
+      nodeOptions.push(...nodeArgs);
+    } else {
+      args.push(...nodeArgs);
+    }
+
+    env.NODE_OPTIONS = nodeOptions.filter(Boolean).join(' ');
+
+    if (this.scriptPath) {
+      args.push(this.scriptPath);
+    }
+    args.push(...this.args);
+
+    return { command, args, env };
+  }
+
+  /**
+   * Handle error text scraped from stdout/stderr
+   */
+  handleError(errorText, source = 'stderr') {
+    if (!errorText) return this.explainQueue;
+    return this.reportError({ ...this.parseError(errorText), source });
+  }
+
+  /**
+   * Handle a structured report sent by the register hook
+   */
+  handleReport(message) {
+    if (!message || message.type !== MESSAGE_TYPE || message.token !== this.reportToken) {
+      return;
+    }
+
+    if (message.kind === 'exit') {
+      // Under a launcher the app fails first, then npm exits with its own code
+      if (message.code !== 0 && !this.appExit) {
+        this.appExit = { code: message.code, lastError: message.lastError };
+      }
+      if (this.childTree) this.childTree.pids.delete(message.pid);
+      return;
+    }
+
+    // Node processes that may have left the process group (detached spawns)
+    if (this.childTree && message.pid) {
+      this.childTree.pids.add(message.pid);
+    }
+
+    this.reportError({
+      ...this.parseReportedError(message.error),
+      kind: message.kind,
+      fatal: message.fatal,
+      source: 'report'
+    }, REPORT_SETTLE_DELAY);
+  }
+
+  /**
+   * Classify an error and queue it for explanation according to its severity
+   * Explanations are queued so only one prompt is shown at a time
+   */
+  reportError(error, delay = 0) {
+    if (this.isDuplicate(error) || isIgnored(error, this.ignoreRules)) {
+      return this.explainQueue;
+    }
+
+    error.severity = classifyError(error);
+    const action = getSeverityAction(error.severity, this.config.severityActions);
+
+    // Crash loop summaries are about the errors that brought the app down
+    if (error.severity === 'fatal' || error.severity === 'uncaught') {
+      this.lastErrorSummary = `${error.name}: ${error.message.split('\n')[0]}`;
+    }
+
+    if (action === 'ignore') {
+      return this.explainQueue;
+    }
+
+    this.lastError = error;
+
+    // Same bug again (every request, every restart) - just count it
+    const occurrence = this.fingerprints.record(error);
+    error.fingerprint = occurrence.fingerprint;
+
+    if (!occurrence.shouldPrompt) {
+      this.explainQueue = this.explainQueue
+        .then(() => this.waitForOutput(delay))
+        .then(() => {
+          const since = new Date(occurrence.firstSeen).toTimeString().slice(0, 5);
+          const summary = `${error.name}: ${error.message.split('\n')[0]}`;
+          console.log(chalk.gray(`\n  ↺ ${summary} (seen ${occurrence.count} times since ${since})\n`));
+          this.recordHistory(error, null);
+        });
+      return this.explainQueue;
+    }
+
+    this.explainQueue = this.explainQueue
+      .then(() => this.waitForOutput(delay))
+      .then(() => showInteractiveExplainer(error, this.config, {
+        ask: () => this.stdinRouter.question(),
+        prompt: this.isInteractive && action === 'prompt' && this.config.autoExplain !== true,
+        autoExplain: action === 'auto-explain' || this.config.autoExplain === true
+      }))
+      .then(explanation => this.recordHistory(error, explanation))
+      .catch((err) => {
+        console.error(chalk.red(`\n✗ Failed to explain error: ${err.message}\n`));
+      });
+
+    return this.explainQueue;
+  }
+
+  /**
+   * Wait until the app's output for an error has been printed
+   * Reports from the register hook arrive before Node writes the error, so
+   * wait the settle delay, then for any error block still being assembled.
+   */
+  async waitForOutput(delay = 0) {
+    if (!delay) return;
+
+    await new Promise(resolve => setTimeout(resolve, delay));
+
+    const deadline = Date.now() + MAX_OUTPUT_WAIT;
+    while ((this.assemblers || []).some(assembler => assembler.isAssembling()) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  /**
+   * Load pattern packs and the project's dependencies - again on every
+   * start, so edits to local packs and package.json apply
+   */
+  loadPatterns() {
+    const { packs, errors } = loadPatternPacks({
+      cwd: process.cwd(),
+      packages: this.config.patternPacks || []
+    });
+    usePatternPacks(packs);
+
+    errors.forEach(({ source, message }) => {
+      console.log(chalk.yellow(`⚠ Skipping pattern pack ${source}: ${message}`));
+    });
+
+    const summary = packs.map(pack => `${pack.name}@${pack.version}`).join(', ');
+    if (summary && summary !== this.patternPackSummary) {
+      console.log(chalk.gray(`Pattern packs: ${summary}`));
+    }
+    this.patternPackSummary = summary;
+
+    const dependencies = readProjectDependencies(process.cwd());
+    useProjectDependencies(dependencies);
+
+    // Only the dependencies some pattern is about
+    const frameworkNames = new Set(getPatterns().flatMap(pattern => pattern.modules || []));
+    const frameworks = [...(dependencies || new Map())]
+      .filter(([name, dep]) => dep.installed && frameworkNames.has(name))
+      .map(([name, dep]) => `${name} ${dep.version}`)
+      .join(', ');
+    if (frameworks && frameworks !== this.frameworkSummary) {
+      console.log(chalk.gray(`Framework patterns: ${frameworks}`));
+    }
+    this.frameworkSummary = frameworks;
   }
 
   /**
-   * Handle error with interactive explanation
+   * Print the console commands once per session
    */
-  async handleError(errorText) {
-    if (!errorText) return;
-    await showInteractiveExplainer(errorText, this.config);
+  showCommands() {
+    if (this.hasShownCommands) return;
+    this.hasShownCommands = true;
+
+    const list = Object.keys(CONSOLE_COMMANDS).map(cmd => chalk.cyan(cmd)).join(chalk.gray(', '));
+    console.log(chalk.gray('Commands: ') + list + chalk.gray(' (type and press Enter)'));
+  }
+
+  /**
+   * Handle a command typed into the console
+   *
+   * @returns {boolean} - true if the line was a command
+   */
+  handleCommand(line) {
+    switch (line) {
+      case 'rs':
+        this.restartPolicy.reset();
+        this.restart('manual restart');
+        return true;
+
+      case ':e':
+        if (!this.lastError) {
+          console.log(chalk.gray('\n  No error to explain yet.\n'));
+        } else {
+          const error = this.lastError;
+          this.explainQueue = this.explainQueue
+            .then(() => showInteractiveExplainer(error, this.config, { prompt: false, autoExplain: true }))
+            .catch((err) => {
+              console.error(chalk.red(`\n✗ Failed to explain error: ${err.message}\n`));
+            });
+        }
+        return true;
+
+      case ':h':
+        try {
+          runHistoryCommand([]);
+        } catch (err) {
+          console.error(chalk.red(`\n✗ ${err.message}\n`));
+        }
+        return true;
+
+      case ':c':
+        console.clear();
+        return true;
+
+      case ':q':
+        this.handleShutdown();
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Append a captured error to the project's history
+   */
+  recordHistory(error, explanation) {
+    if (!this.history) return;
+
+    const frame = getUserFrame(error);
+
+    try {
+      this.history.append({
+        fingerprint: error.fingerprint,
+        severity: error.severity,
+        name: error.name,
+        message: error.message.split('\n')[0],
+        code: error.code || null,
+        location: frame ? `${path.relative(process.cwd(), frame.file)}:${frame.line}:${frame.column}` : null,
+        script: this.scriptPath ? path.relative(process.cwd(), this.scriptPath) : this.config.exec,
+        pattern: findErrorPattern(getRootCauses(error)[0]).name,
+        explanation: explanation || null,
+        raw: error.raw
+      });
+    } catch (err) {
+      console.error(chalk.gray(`  (could not write error history: ${err.message})`));
+    }
+  }
+
+  /**
+   * Check if the error was just reported through the other channel
+   * (register hook report vs. text scraped from stderr)
+   */
+  isDuplicate(error) {
+    const now = Date.now();
+    const message = error.message.split('\n')[0];
+
+    this.recentErrors = this.recentErrors.filter(e => now - e.time < DUPLICATE_WINDOW);
+
+    const duplicate = this.recentErrors.some(recent =>
+      recent.source !== error.source && (
+        (recent.message && error.raw.includes(recent.message)) ||
+        (message && recent.raw.includes(message))
+      )
+    );
+
+    if (!duplicate) {
+      this.recentErrors.push({ time: now, message, raw: error.raw, source: error.source });
+    }
+    return duplicate;
+  }
+
+  /**
+   * Apply the restart policy after the app exited on its own
+   */
+  handleExit(code) {
+    const appExit = this.appExit;
+    this.appExit = null;
+
+    // An error an ignore rule hid still explains the crash
+    const errorSummary = this.lastErrorSummary || (appExit && appExit.lastError) || '';
+    const decision = this.restartPolicy.recordExit(code, errorSummary);
+    this.lastErrorSummary = '';
+
+    if (decision.action === 'restart') {
+      // Let the user finish with the explanation prompt first
+      this.explainQueue.then(() => {
+        const appCode = appExit && appExit.code !== code ? ` (the app exited with ${appExit.code})` : '';
+        const reason = code === 0 ? 'process exited' : `crashed with exit code ${code}${appCode}`;
+        const attempt = decision.attempt ? `, attempt ${decision.attempt}/${this.restartPolicy.options.maxRestarts}` : '';
+        console.log(chalk.yellow(`\n↻ App ${reason}. Restarting in ${decision.delay / 1000}s${attempt}...\n`));
+
+        this.restartTimer = setTimeout(() => {
+          this.restartTimer = null;
+          this.restart(); // what the crashed app started may still hold its ports
+        }, decision.delay);
+      });
+      return;
+    }
+
+    if (decision.action === 'crash-loop') {
+      const { crashes, clean, window, error, count } = decision.summary;
+      this.explainQueue.then(() => {
+        const exits = clean ? `${crashes} exits` : `${crashes} crashes`;
+        console.log(chalk.hex('#FF5F5F').bold(`\n✗ Crash loop detected: ${exits} in ${window / 1000}s`));
+        console.log(chalk.white(`    ${error}`) + chalk.gray(` (${count}x)`));
+        if (this.isInteractive) {
+          console.log(chalk.gray(this.restartPolicy.restartsOnChange()
+            ? '    Stopped restarting. Fix the error and save a file to try again.\n'
+            : '    Stopped restarting. Fix the error and run nodewise again (Ctrl+C to exit).\n'));
+        }
+      });
+    }
+
+    // Non-interactive (CI): nobody is going to edit files - finish with the app's exit code
+    if (!this.isInteractive) {
+      this.explainQueue.then(() => this.exit(code));
+      return;
+    }
+
+    if (decision.action === 'wait' && this.restartPolicy.restartsOnChange()) {
+      const status = code === 0 ? 'Clean exit' : 'App crashed';
+      this.explainQueue.then(() => {
+        console.log(chalk.gray(`\n${status} - waiting for file changes before restart...\n`));
+      });
+    }
+  }
+
+  /**
+   * Parse an error serialized by the register hook, with its cause and
+   * AggregateError members
+   */
+  parseReportedError(data, depth = 0) {
+    const text = (depth === 0 && data.inspected) || data.stack || `${data.name}: ${data.message}`;
+    const error = this.parseError(text);
+
+    return {
+      ...error,
+      name: data.name,
+      message: data.message,
+      code: data.code || error.code,
+      cause: data.cause ? this.parseReportedError(data.cause, depth + 1) : null,
+      errors: (data.errors || []).map(member => this.parseReportedError(member, depth + 1)),
+      properties: data.properties || {}
+    };
+  }
+
+  /**
+   * Parse captured error text, mapping frames back through source maps
+   */
+  parseError(errorText) {
+    const error = parseError(errorText);
+    return this.config.sourceMaps === false ? error : applySourceMaps(error);
   }
 
   /**
@@ -118,80 +633,185 @@ class Runner {
   setupWatcher() {
     if (this.watcher) {
       this.watcher.close();
+      this.watcher = null;
     }
 
-    const watchPatterns = [
-      '**/*.js',
-      '**/*.json',
-      '!node_modules/**',
-      '!.git/**'
-    ];
+    if (!this.restartPolicy.restartsOnChange()) {
+      return;
+    }
 
-    this.watcher = chokidar.watch(watchPatterns, {
-      ignored: this.ignorePatterns,
+    const { paths, ignored } = this.watchOptions;
+
+    this.watcher = chokidar.watch(paths, {
+      ignored,
+      ignoreInitial: true,
       awaitWriteFinish: {
         stabilityThreshold: 300,
         pollInterval: 100
       }
     });
 
-    this.watcher.on('change', (path) => {
-      this.restart(`File changed: ${path}`);
+    this.watcher.on('all', (event, filePath) => {
+      if (!WATCH_EVENTS.includes(event) || !this.isWatchedFile(filePath)) return;
+
+      // Batch changes (e.g. a git checkout) into a single restart
+      this.changedFiles.add(path.relative(process.cwd(), filePath) || filePath);
+      clearTimeout(this.changeTimer);
+      this.changeTimer = setTimeout(() => this.restartForChanges(), this.watchOptions.delay);
     });
   }
 
+  /**
+   * Check if a changed file has one of the watched extensions
+   * Dotfiles like .env match the "env" extension
+   */
+  isWatchedFile(filePath) {
+    const basename = path.basename(filePath);
+    return this.watchOptions.ext.some(ext =>
+      basename === `.${ext}` || basename.startsWith(`.${ext}.`) || basename.endsWith(`.${ext}`)
+    );
+  }
+
+  /**
+   * Restart once for all files changed since the last restart
+   */
+  restartForChanges() {
+    this.changeTimer = null;
+
+    // A restart is already underway - try again once it's done
+    if (this.isRestarting) {
+      this.changeTimer = setTimeout(() => this.restartForChanges(), this.watchOptions.delay);
+      return;
+    }
+
+    const files = [...this.changedFiles];
+    this.changedFiles.clear();
+    if (!files.length) return;
+
+    const reason = files.length === 1
+      ? `File changed: ${files[0]}`
+      : `${files.length} files changed: ${files.join(', ')}`;
+
+    // An edit may fix whatever made the app crash - start over
+    this.restartPolicy.reset();
+    this.fingerprints.markEdit();
+    this.restart(reason);
+  }
+
   /**
    * Restart the process
    */
-  restart(reason = '') {
+  async restart(reason = '') {
     if (this.isRestarting) return;
 
     this.isRestarting = true;
+    this.clearRestartTimer();
 
-    if (this.child) {
-      this.child.kill('SIGTERM');
-      
-      // Wait a bit for graceful shutdown
-      setTimeout(() => {
-        if (this.child && !this.child.killed) {
-          this.child.kill('SIGKILL');
-        }
-        
-        setTimeout(() => {
-          this.isRestarting = false;
-          if (reason) {
-            console.log(chalk.yellow(`\n↻ Restarting... (${reason})\n`));
-          }
-          this.start();
-        }, 100);
-      }, 500);
-    } else {
-      this.isRestarting = false;
-      this.start();
+    // The old tree must be gone before the new one binds the same ports
+    await this.killChild();
+
+    this.isRestarting = false;
+    if (reason) {
+      console.log(chalk.yellow(`\n↻ Restarting... (${reason})\n`));
     }
+    this.start();
+  }
+
+  /**
+   * Terminate the child and everything it started
+   * Sends config.killSignal, then SIGKILL after config.killTimeout ms.
+   * Also runs after the child exited on its own: processes it started
+   * (a server, a watcher, `sleep`) keep running in its process group.
+   *
+   * @returns {Promise<number[]>} - pids that could not be killed
+   */
+  async killChild() {
+    const child = this.child;
+    const tree = this.childTree;
+
+    this.child = null;
+    this.childTree = null;
+
+    if (child) {
+      this.stoppedChildren.add(child);
+      this.stdinRouter.detach(child.stdin);
+    }
+
+    // Never started (spawn error)
+    if (!tree) return [];
+
+    return terminateTree(tree.pid, {
+      signal: this.config.killSignal || 'SIGTERM',
+      timeout: this.config.killTimeout !== undefined ? this.config.killTimeout : 2000,
+      extraPids: [...tree.pids]
+    });
   }
 
   /**
    * Stop the process and watcher
    */
-  stop() {
+  async stop() {
+    this.clearRestartTimer();
+    clearTimeout(this.changeTimer);
+
     if (this.watcher) {
       this.watcher.close();
       this.watcher = null;
     }
 
+    const survivors = await this.killChild();
+    if (survivors.length) {
+      console.log(chalk.red(`\n✗ Could not stop ${survivors.length} process(es) started by the app: ${survivors.join(', ')}\n`));
+    }
+  }
+
+  /**
+   * Last resort when nodewise exits without a clean stop
+   */
+  killChildSync() {
     if (this.child) {
-      this.child.kill('SIGTERM');
-      this.child = null;
+      this.stoppedChildren.add(this.child);
     }
+    if (this.childTree) {
+      killTreeSync(this.childTree.pid, [...this.childTree.pids]);
+    }
+  }
+
+  /**
+   * Cancel a pending crash restart
+   */
+  clearRestartTimer() {
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+  }
+
+  /**
+   * Stop everything and exit nodewise with the app's exit code
+   */
+  async exit(code) {
+    console.log(chalk.gray(`\nApp exited with code ${code}\n`));
+    this.stdinRouter.stop();
+    await this.stop();
+    process.exit(code);
   }
 
   /**
    * Handle graceful shutdown
+   * Waits for the app's whole process tree to exit first
    */
-  handleShutdown() {
+  async handleShutdown() {
+    // A second Ctrl+C while stopping - don't wait any longer
+    if (this.isShuttingDown) {
+      this.killChildSync();
+      process.exit(1);
+    }
+    this.isShuttingDown = true;
+
     console.log(chalk.yellow('\nShutting down nodewise...\n'));
-    this.stop();
+    this.stdinRouter.stop();
+    await this.stop();
     process.exit(0);
   }
 
@@ -217,25 +837,6 @@ class Runner {
 
     return errorPatterns.some(pattern => pattern.test(text));
   }
-
-  /**
-   * Explain error with debouncing to avoid duplicate explanations
-   */
-  async explainErrorWithDebounce(errorText) {
-    const now = Date.now();
-    // Debounce: only explain if at least 500ms has passed since last error
-    if (this.lastErrorExplanationTime && (now - this.lastErrorExplanationTime) < 500) {
-      return;
-    }
-    this.lastErrorExplanationTime = now;
-    
-    // Don't explain startup errors that already caused process exit
-    if (this.isProcessExiting) {
-      return;
-    }
-
-    await showInteractiveExplainer(errorText, this.config);
-  }
 }
 
 module.exports = {
@@ -0,0 +1,113 @@
+/**
+ * sourceExcerpt.js
+ *
+ * Source code excerpt around the failing line
+ * Opens the user's file at the first non-node_modules frame and renders
+ * the surrounding lines with a caret under the failing column
+ */
+
+const fs = require('fs');
+const { fileURLToPath } = require('url');
+const { getUserFrame } = require('./stackParser');
+
+// Don't try to read huge (e.g. bundled/minified) files
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+
+/**
+ * Resolve a frame file (path or file:// URL) to a readable path
+ */
+function toFilePath(file) {
+  if (!file) return null;
+
+  if (file.startsWith('file://')) {
+    try {
+      return fileURLToPath(file);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return file;
+}
+
+/**
+ * Read the lines surrounding the failing location of an error
+ *
+ * @param {object} error - Parsed error object from stackParser.parseError()
+ * @param {number} contextLines - Lines to show above and below the failing line
+ * @returns {object|null} - { file, line, column, lines: [{ number, text }] }
+ */
+function getSourceExcerpt(error, contextLines = 3) {
+  // Prefer the failing frame; SyntaxErrors only have the "file:line" location
+  const target = getUserFrame(error) || (error && error.location);
+  if (!target || !target.file || !target.line) return null;
+
+  const filePath = toFilePath(target.file);
+  if (!filePath) return null;
+
+  let source;
+  try {
+    const stats = fs.statSync(filePath);
+    if (!stats.isFile() || stats.size > MAX_FILE_SIZE) return null;
+    source = fs.readFileSync(filePath, 'utf8');
+  } catch (e) {
+    return null;
+  }
+
+  const sourceLines = source.split(/\r?\n/);
+  if (target.line > sourceLines.length) return null;
+
+  const start = Math.max(1, target.line - contextLines);
+  const end = Math.min(sourceLines.length, target.line + contextLines);
+  const lines = [];
+
+  for (let number = start; number <= end; number++) {
+    lines.push({ number, text: sourceLines[number - 1] });
+  }
+
+  return {
+    file: target.file,
+    line: target.line,
+    column: target.column || null,
+    lines
+  };
+}
+
+/**
+ * Render an excerpt with line numbers and a caret under the failing column
+ *
+ * @param {object} excerpt - Result of getSourceExcerpt()
+ * @param {object} styles - Optional { gutter, highlight, caret } functions for coloring
+ * @returns {string[]} - Rendered lines
+ */
+function formatExcerpt(excerpt, styles = {}) {
+  if (!excerpt) return [];
+
+  const plain = (s) => s;
+  const gutter = styles.gutter || plain;
+  const highlight = styles.highlight || plain;
+  const caret = styles.caret || plain;
+  const width = String(excerpt.lines[excerpt.lines.length - 1].number).length;
+  const output = [];
+
+  excerpt.lines.forEach(({ number, text }) => {
+    const isFailing = number === excerpt.line;
+    const marker = isFailing ? '>' : ' ';
+    const prefix = gutter(`${marker} ${String(number).padStart(width)} | `);
+
+    output.push(prefix + (isFailing ? highlight(text) : text));
+
+    if (isFailing && excerpt.column) {
+      // Keep tabs so the caret lines up with the source
+      const indent = text.slice(0, excerpt.column - 1).replace(/[^\t]/g, ' ');
+      output.push(gutter(`  ${' '.repeat(width)} | `) + indent + caret('^'));
+    }
+  });
+
+  return output;
+}
+
+module.exports = {
+  getSourceExcerpt,
+  formatExcerpt
+};
@@ -0,0 +1,235 @@
+/**
+ * sourceMaps.js
+ *
+ * Source map support
+ * Reads "//# sourceMappingURL" comments and .map files and rewrites stack
+ * frames from generated code (dist/*.js from tsc, esbuild, ...) back to
+ * the original source positions
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SourceMap } = require('module');
+const { fileURLToPath, pathToFileURL } = require('url');
+const { formatFrame } = require('./stackParser');
+
+const SOURCE_MAPPING_URL_REGEX = /\/[*/][#@]\s*sourceMappingURL=([^\s'"*]+)\s*(?:\*\/)?\s*$/;
+
+// file -> { mtimeMs, entry }, entry is null when the file has no usable map
+const cache = new Map();
+
+/**
+ * Resolve a frame file (path or file:// URL) to a readable path
+ */
+function toFilePath(file) {
+  if (file.startsWith('file://')) {
+    try {
+      return fileURLToPath(file);
+    } catch (e) {
+      return null;
+    }
+  }
+  return path.isAbsolute(file) ? file : null;
+}
+
+/**
+ * Find the sourceMappingURL comment of a generated file
+ */
+function findSourceMappingURL(source) {
+  // The comment is normally the last non-empty line
+  const lines = source.trimEnd().split(/\r?\n/).slice(-5).reverse();
+
+  for (const line of lines) {
+    const match = line.trim().match(SOURCE_MAPPING_URL_REGEX);
+    if (match) return match[1];
+  }
+
+  return null;
+}
+
+/**
+ * Read the map payload referenced by a sourceMappingURL
+ */
+function readMapPayload(url, filePath) {
+  // Inline map: data:application/json;base64,...
+  if (url.startsWith('data:')) {
+    const commaIndex = url.indexOf(',');
+    const meta = url.slice(0, commaIndex);
+    const data = url.slice(commaIndex + 1);
+    const json = meta.endsWith(';base64')
+      ? Buffer.from(data, 'base64').toString('utf8')
+      : decodeURIComponent(data);
+    return { payload: JSON.parse(json), mapDir: path.dirname(filePath) };
+  }
+
+  const mapPath = url.startsWith('file://')
+    ? fileURLToPath(url)
+    : path.resolve(path.dirname(filePath), decodeURIComponent(url));
+
+  return {
+    payload: JSON.parse(fs.readFileSync(mapPath, 'utf8')),
+    mapDir: path.dirname(mapPath)
+  };
+}
+
+/**
+ * Load (and cache) the source map for a generated file
+ *
+ * @param {string} file - File path or file:// URL from a stack frame
+ * @returns {object|null} - { map, mapDir, sourceRoot } or null
+ */
+function loadSourceMap(file) {
+  const filePath = toFilePath(file);
+  if (!filePath) return null;
+
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(filePath).mtimeMs;
+  } catch (e) {
+    return null;
+  }
+
+  // Rebuilt output gets a new map
+  const cached = cache.get(file);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.entry;
+
+  let entry = null;
+  try {
+    let url = findSourceMappingURL(fs.readFileSync(filePath, 'utf8'));
+
+    // No comment - fall back to a sibling "<file>.map"
+    if (!url && fs.existsSync(filePath + '.map')) {
+      url = path.basename(filePath) + '.map';
+    }
+
+    if (url) {
+      const { payload, mapDir } = readMapPayload(url, filePath);
+      entry = { map: new SourceMap(payload), mapDir, sourceRoot: payload.sourceRoot || '' };
+    }
+  } catch (e) {
+    // Unreadable file or invalid map - keep the generated positions
+    entry = null;
+  }
+
+  cache.set(file, { mtimeMs, entry });
+  return entry;
+}
+
+/**
+ * Resolve a map's "sources" entry to a path in the same style as the frame
+ */
+function resolveOriginalSource(source, entry, generatedFile) {
+  if (source.startsWith('file://')) {
+    return generatedFile.startsWith('file://') ? source : fileURLToPath(source);
+  }
+
+  const resolved = path.resolve(entry.mapDir, entry.sourceRoot, source);
+  return generatedFile.startsWith('file://') ? pathToFileURL(resolved).href : resolved;
+}
+
+/**
+ * Map a generated position back to its original position
+ *
+ * @param {string} file - Generated file
+ * @param {number} line - 1-based line
+ * @param {number} column - 1-based column (optional)
+ * @returns {object|null} - { file, line, column } in the original source
+ */
+function mapPosition(file, line, column) {
+  const entry = loadSourceMap(file);
+  if (!entry) return null;
+
+  const found = entry.map.findEntry(line - 1, column ? column - 1 : 0);
+  if (!found || !found.originalSource) return null;
+
+  // findEntry returns the closest earlier mapping, which may be on another line
+  if (found.generatedLine !== line - 1) return null;
+
+  return {
+    file: resolveOriginalSource(found.originalSource, entry, file),
+    line: found.originalLine + 1,
+    column: column ? found.originalColumn + 1 : null
+  };
+}
+
+/**
+ * Rewrite a single stack frame to its original source position
+ */
+function mapFrame(frame) {
+  if (!frame || !frame.file || frame.isInternal || !frame.line) return frame;
+
+  const original = mapPosition(frame.file, frame.line, frame.column);
+  if (!original) return frame;
+
+  const mapped = {
+    ...frame,
+    ...original,
+    generated: { file: frame.file, line: frame.line, column: frame.column }
+  };
+  mapped.raw = `at ${formatFrame(mapped)}` + (frame.raw.endsWith(' {') ? ' {' : '');
+
+  return mapped;
+}
+
+/**
+ * Map one error and the errors it wraps
+ *
+ * @returns {object} - { error, replacements: [[generated, original]] } -
+ *   the text replacements made, nested errors' included
+ */
+function mapError(error) {
+  const replacements = [];
+
+  const frames = error.frames.map((frame) => {
+    const mapped = mapFrame(frame);
+    if (mapped !== frame) {
+      replacements.push([frame.raw, mapped.raw]);
+    }
+    return mapped;
+  });
+
+  let location = error.location;
+  if (location) {
+    const original = mapPosition(location.file, location.line, null);
+    if (original) {
+      replacements.push([`${location.file}:${location.line}`, `${original.file}:${original.line}`]);
+      location = { file: original.file, line: original.line };
+    }
+  }
+
+  const replace = text => replacements.reduce((result, [from, to]) => result.replace(from, to), text);
+  const ownRaw = error.ownRaw === undefined ? undefined : replace(error.ownRaw);
+
+  // The wrapped errors are part of this error's raw text too
+  const nested = [error.cause, ...(error.errors || [])].map(inner => (inner && inner.frames ? mapError(inner) : null));
+  nested.forEach((inner) => {
+    if (inner) replacements.push(...inner.replacements);
+  });
+
+  const mappedError = { ...error, frames, location, raw: replace(error.raw), ownRaw };
+  if (error.cause) mappedError.cause = nested[0] ? nested[0].error : error.cause;
+  if (error.errors) mappedError.errors = nested.slice(1).map((inner, i) => (inner ? inner.error : error.errors[i]));
+
+  return { error: mappedError, replacements };
+}
+
+/**
+ * Rewrite all frames (and the uncaught-error location) of a parsed error
+ * The raw text is rewritten too, so pattern matching and AI prompts see
+ * the original positions. Causes and AggregateError members are mapped
+ * as well.
+ *
+ * @param {object} error - Parsed error object from stackParser.parseError()
+ * @returns {object} - New error object with mapped frames
+ */
+function applySourceMaps(error) {
+  if (!error || !error.frames) return error;
+  return mapError(error).error;
+}
+
+module.exports = {
+  loadSourceMap,
+  mapPosition,
+  mapFrame,
+  applySourceMaps
+};
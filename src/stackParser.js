@@ -0,0 +1,373 @@
+/**
+ * stackParser.js
+ *
+ * Stack trace parser
+ * Turns raw V8 error output into a structured error object:
+ * name, message, code and the list of stack frames, plus the errors it
+ * wraps - `[cause]: ...` and AggregateError `[errors]: [...]`
+ */
+
+/**
+ * Error header line, e.g.
+ *   TypeError: Cannot read properties of undefined (reading 'x')
+ *   Error [ERR_REQUIRE_ESM]: require() of ES Module ...
+ *   Uncaught ReferenceError: foo is not defined
+ *   (node:1234) [DEP0005] DeprecationWarning: Buffer() is deprecated ...
+ */
+const HEADER_REGEX = /^(?:Uncaught\s+)?(?:\(node:\d+\)\s+)?(?:\[([A-Z][A-Z0-9_]*)\]\s+)?([A-Za-z_$][\w$]*?(?:Error|Exception|Warning)|Error)(?:\s+\[([A-Z][A-Z0-9_]*)\])?:\s?(.*)$/;
+
+/**
+ * Stack frame line, e.g.
+ *   at Object.<anonymous> (/app/index.js:5:7)
+ *   at async loadUser (file:///app/user.mjs:12:3)
+ *   at node:internal/main/run_main_module:28:49
+ */
+const FRAME_REGEX = /^\s*at\s+(?:(async)\s+)?(.*)$/;
+
+/**
+ * Location line printed by Node above uncaught errors, e.g. "/app/index.js:5"
+ */
+const LOCATION_REGEX = /^((?:\/|[A-Za-z]:[\\/]|file:\/\/).+):(\d+)$/;
+
+/**
+ * Error code from the inspected properties, e.g. "code: 'MODULE_NOT_FOUND'"
+ */
+const CODE_PROPERTY_REGEX = /^\s*code:\s*['"]([A-Za-z0-9_]+)['"],?\s*$/m;
+
+/**
+ * Nested error property, e.g.
+ *   [cause]: Error: ENOENT: no such file or directory ...
+ *   [cause]: [AggregateError: All promises were rejected] {
+ *   [errors]: [
+ */
+const NESTED_REGEX = /^(\s*)\[(cause|errors)\]:\s?(.*)$/;
+
+/**
+ * Frames Node leaves out because the cause has the same ones, e.g.
+ *   ... 4 lines matching cause stack trace ...
+ */
+const ELIDED_FRAMES_REGEX = /^\s*\.\.\. \d+ lines? matching cause stack trace \.\.\.$/;
+
+/**
+ * Check if a line is a stack frame
+ */
+function isFrameLine(line) {
+  return FRAME_REGEX.test(line);
+}
+
+/**
+ * Check if a line is an error header (e.g. "TypeError: ...", or
+ * "[AggregateError: msg] {" for an error without a stack)
+ */
+function isErrorHeader(line) {
+  return HEADER_REGEX.test(unbracket(line.trim()));
+}
+
+/**
+ * Check if a line is the bracketed header of an error without a stack
+ * What follows it are properties ("[errors]: [", "code: ..."), not frames
+ */
+function isStacklessHeader(line) {
+  const trimmed = line.trim();
+  return trimmed !== unbracket(trimmed);
+}
+
+/**
+ * Check if a line is the "file:line" location Node prints above uncaught errors
+ */
+function isLocationLine(line) {
+  return LOCATION_REGEX.test(line.trim());
+}
+
+/**
+ * Split "file:line:column" into its parts
+ */
+function parseLocation(location) {
+  const match = location.match(/^(.*?):(\d+)(?::(\d+))?$/);
+
+  if (!match) {
+    return { file: location || null, line: null, column: null };
+  }
+
+  return {
+    file: match[1],
+    line: parseInt(match[2], 10),
+    column: match[3] ? parseInt(match[3], 10) : null
+  };
+}
+
+/**
+ * Parse a single stack frame line
+ * Returns null if the line is not a frame
+ */
+function parseFrame(line) {
+  const match = line.match(FRAME_REGEX);
+  if (!match) return null;
+
+  const isAsync = Boolean(match[1]);
+  // The last frame ends with " {" when Node prints the error's own properties
+  const body = match[2].trim().replace(/\s*\{$/, '');
+
+  let functionName = null;
+  let location = body;
+
+  // "fn (location)" - the location is the last parenthesized group
+  const withName = body.match(/^(.*?)\s+\((.*)\)$/);
+  if (withName) {
+    functionName = withName[1];
+    location = withName[2];
+  }
+
+  // "eval at fn (file:1:2), <anonymous>:1:1" - keep the outer location
+  if (location.startsWith('eval at ')) {
+    const evalOrigin = location.match(/\((.*?)\)/);
+    location = evalOrigin ? evalOrigin[1] : location;
+  }
+
+  const { file, line: lineNumber, column } = parseLocation(location);
+  const isNative = !file || file === 'native' || file === '<anonymous>' || lineNumber === null;
+
+  return {
+    functionName,
+    file: isNative ? null : file,
+    line: lineNumber,
+    column,
+    isAsync,
+    isInternal: isNative || /^node:|^internal\//.test(file),
+    isNodeModules: !isNative && /[\\/]node_modules[\\/]/.test(file),
+    raw: line.trim()
+  };
+}
+
+function getIndent(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+/**
+ * Errors without a stack are printed in brackets: "[AggregateError: msg]"
+ */
+function unbracket(line) {
+  const match = line.match(/^\[(.+)\](\s*\{)?$/);
+  return match && HEADER_REGEX.test(match[1]) ? match[1] + (match[2] || '') : line;
+}
+
+/**
+ * Cut the [cause] and [errors] blocks out of an error's inspected output
+ * Each block is returned dedented, so it parses like a top-level error.
+ *
+ * @param {string[]} lines - The error's output lines
+ * @returns {object} - { ownLines, cause: text or null, errors: [text] }
+ */
+function splitNestedErrors(lines) {
+  const ownLines = [];
+  const errors = [];
+  let cause = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(NESTED_REGEX);
+    if (!match) {
+      ownLines.push(lines[i]);
+      continue;
+    }
+
+    // The block is everything indented deeper, plus its closing } or ]
+    const indent = match[1].length;
+    const block = [];
+    while (i + 1 < lines.length && (getIndent(lines[i + 1]) > indent || !lines[i + 1].trim())) {
+      block.push(lines[++i]);
+    }
+    if (i + 1 < lines.length && getIndent(lines[i + 1]) === indent && /^[}\]]/.test(lines[i + 1].trim())) {
+      block.push(lines[++i]);
+    }
+
+    if (match[2] === 'cause') {
+      cause = [unbracket(match[3]), ...block.map(line => line.slice(indent))].join('\n');
+      continue;
+    }
+
+    // [errors]: [ one member per line at the next indent level ]
+    const memberIndent = indent + 2;
+    let member = null;
+    block.forEach((line) => {
+      const isMemberStart = getIndent(line) === memberIndent && !/^[}\]]/.test(line.trim());
+      if (isMemberStart) {
+        member = [unbracket(line.slice(memberIndent).replace(/,$/, ''))];
+        errors.push(member);
+      } else if (member && getIndent(line) >= memberIndent) {
+        member.push(line.slice(memberIndent));
+      }
+    });
+    errors.forEach((lines) => {
+      lines[lines.length - 1] = lines[lines.length - 1].replace(/,$/, '');
+    });
+  }
+
+  return {
+    ownLines,
+    cause,
+    errors: errors.map(member => member.join('\n'))
+  };
+}
+
+/**
+ * Parse raw error output into a structured error object
+ *
+ * @param {string} text - Raw error output (stderr text, log line, ...)
+ * @returns {object} - { name, message, code, location, frames, raw, ownRaw, cause, errors }
+ *   `ownRaw` is `raw` without the nested errors; `cause` (or null) and
+ *   `errors` (AggregateError members) are parsed errors themselves
+ */
+function parseError(text) {
+  const raw = (text || '').toString();
+  const nested = splitNestedErrors(raw.split(/\r?\n/));
+  const lines = nested.ownLines;
+  const ownRaw = lines.filter(line => !ELIDED_FRAMES_REGEX.test(line)).join('\n');
+
+  const error = {
+    name: null,
+    message: '',
+    code: null,
+    location: null,
+    frames: [],
+    raw,
+    ownRaw,
+    cause: null,
+    errors: []
+  };
+
+  let headerIndex = -1;
+  let isStackless = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+
+    if (!error.location) {
+      const locationMatch = line.match(LOCATION_REGEX);
+      if (locationMatch) {
+        error.location = { file: locationMatch[1], line: parseInt(locationMatch[2], 10) };
+        continue;
+      }
+    }
+
+    const header = unbracket(line);
+    const headerMatch = header.match(HEADER_REGEX);
+    if (headerMatch) {
+      error.name = headerMatch[2];
+      error.code = headerMatch[1] || headerMatch[3] || null;
+      error.message = headerMatch[4];
+      headerIndex = i;
+
+      // "[Error: msg] {" - no stack, and the lines after it are properties
+      if (/\s\{$/.test(error.message) && !isFrameLine(lines[i + 1] || '')) {
+        error.message = error.message.replace(/\s\{$/, '');
+        isStackless = true;
+      }
+      break;
+    }
+  }
+
+  // No recognizable header - use the first non-empty line as the message
+  if (headerIndex === -1) {
+    const firstLine = lines.find(l => l.trim() && !isFrameLine(l));
+    error.name = 'Error';
+    error.message = firstLine ? firstLine.trim() : '';
+  }
+
+  // Message continuation lines and frames that directly follow the header
+  let framesStarted = false;
+  for (let i = headerIndex + 1; i < lines.length && !isStackless; i++) {
+    const line = lines[i];
+
+    if (isFrameLine(line)) {
+      framesStarted = true;
+      error.frames.push(parseFrame(line));
+      continue;
+    }
+
+    if (framesStarted && ELIDED_FRAMES_REGEX.test(line)) continue;
+
+    if (framesStarted || headerIndex === -1) break;
+    if (!line.trim()) break;
+
+    error.message += '\n' + line;
+  }
+
+  // Only the error's own properties - a nested cause has its own code
+  if (!error.code) {
+    const codeMatch = ownRaw.match(CODE_PROPERTY_REGEX);
+    if (codeMatch) error.code = codeMatch[1];
+  }
+
+  if (nested.cause && isErrorHeader(nested.cause.split('\n')[0])) {
+    error.cause = parseError(nested.cause);
+  }
+  error.errors = nested.errors
+    .filter(member => isErrorHeader(member.split('\n')[0]))
+    .map(parseError);
+
+  return error;
+}
+
+/**
+ * Flatten an error and everything it wraps, outermost first
+ *
+ * @returns {object[]} - [{ error, depth, via: null | 'cause' | 'errors' }]
+ */
+function getErrorChain(error, depth = 0, via = null) {
+  if (!error) return [];
+
+  return [
+    { error, depth, via },
+    ...getErrorChain(error.cause, depth + 1, 'cause'),
+    ...(error.errors || []).flatMap(member => getErrorChain(member, depth + 1, 'errors'))
+  ];
+}
+
+/**
+ * Get the innermost errors - the ones that don't wrap anything
+ * An error without a cause is its own root cause; an AggregateError
+ * has one per member
+ *
+ * @returns {object[]} - Parsed errors
+ */
+function getRootCauses(error) {
+  return getErrorChain(error)
+    .map(link => link.error)
+    .filter(link => !link.cause && !(link.errors && link.errors.length));
+}
+
+/**
+ * Get the first frame that belongs to the user's code
+ * (not node internals, not node_modules)
+ */
+function getUserFrame(error) {
+  if (!error || !error.frames) return null;
+  return error.frames.find(f => f.file && !f.isInternal && !f.isNodeModules) || null;
+}
+
+/**
+ * Format a frame as "fn (file:line:column)"
+ */
+function formatFrame(frame) {
+  if (!frame) return '';
+
+  const location = [frame.file, frame.line, frame.column].filter(v => v !== null && v !== undefined).join(':');
+  const prefix = frame.isAsync ? 'async ' : '';
+
+  return frame.functionName
+    ? `${prefix}${frame.functionName} (${location})`
+    : `${prefix}${location}`;
+}
+
+module.exports = {
+  parseError,
+  parseFrame,
+  isFrameLine,
+  isErrorHeader,
+  isStacklessHeader,
+  isLocationLine,
+  getUserFrame,
+  formatFrame,
+  getErrorChain,
+  getRootCauses
+};
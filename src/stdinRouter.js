@@ -0,0 +1,147 @@
+/**
+ * stdinRouter.js
+ *
+ * Stdin arbitration between the app and nodewise prompts
+ * nodewise owns the terminal: input is forwarded to the child through a
+ * pipe, and only routed to the explainer prompt while a prompt is showing.
+ * Lines that are nodewise commands (rs, :q, ...) are handled, not forwarded.
+ */
+
+class StdinRouter {
+  /**
+   * @param {stream.Readable} input - Usually process.stdin
+   */
+  constructor(input = process.stdin) {
+    this.input = input;
+    this.target = null;        // child stdin
+    this.pendingPrompt = null; // { buffer, resolve }
+    this.commandHandler = null;
+    this.isEnded = false;
+    this.isStarted = false;
+    this.onData = this.onData.bind(this);
+    this.onEnd = this.onEnd.bind(this);
+  }
+
+  /**
+   * Start reading from the terminal
+   */
+  start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+
+    this.input.on('data', this.onData);
+    this.input.on('end', this.onEnd);
+    this.input.resume();
+  }
+
+  /**
+   * Stop reading so nodewise can exit
+   */
+  stop() {
+    if (!this.isStarted) return;
+    this.isStarted = false;
+
+    this.input.off('data', this.onData);
+    this.input.off('end', this.onEnd);
+    this.input.pause();
+  }
+
+  /**
+   * Intercept command lines typed into the console
+   *
+   * @param {function} handler - Called with each trimmed line; returns true if it was a command
+   */
+  setCommandHandler(handler) {
+    this.commandHandler = handler;
+  }
+
+  /**
+   * Forward input to a child's stdin
+   */
+  attach(childStdin) {
+    this.target = childStdin;
+
+    // The child may exit (or close stdin) while we still write to it
+    childStdin.on('error', () => {});
+
+    if (this.isEnded) {
+      childStdin.end();
+    }
+  }
+
+  /**
+   * Stop forwarding to the current child
+   */
+  detach(childStdin) {
+    if (!childStdin || this.target === childStdin) {
+      this.target = null;
+    }
+  }
+
+  /**
+   * Read one line for a nodewise prompt
+   * Input typed while the prompt is showing does not reach the app
+   *
+   * @returns {Promise<string>} - The answer, '' if stdin has ended
+   */
+  question() {
+    if (this.isEnded) {
+      return Promise.resolve('');
+    }
+
+    return new Promise((resolve) => {
+      this.pendingPrompt = { buffer: '', resolve };
+    });
+  }
+
+  onData(data) {
+    let text = data.toString();
+
+    if (this.pendingPrompt) {
+      const prompt = this.pendingPrompt;
+      prompt.buffer += text;
+
+      const newlineIndex = prompt.buffer.indexOf('\n');
+      if (newlineIndex === -1) return;
+
+      // The first line answers the prompt, anything after it goes to the app
+      text = prompt.buffer.slice(newlineIndex + 1);
+      this.pendingPrompt = null;
+      prompt.resolve(prompt.buffer.slice(0, newlineIndex).trim());
+
+      if (!text) return;
+    }
+
+    // A whole line that is a nodewise command never reaches the app
+    if (this.commandHandler && /^[^\n]*\n$/.test(text) && this.commandHandler(text.trim())) {
+      return;
+    }
+
+    this.forward(text);
+  }
+
+  onEnd() {
+    this.isEnded = true;
+
+    if (this.pendingPrompt) {
+      const prompt = this.pendingPrompt;
+      this.pendingPrompt = null;
+      prompt.resolve(prompt.buffer.trim());
+    }
+
+    // Let the app see EOF as well
+    if (this.target && !this.target.destroyed) {
+      this.target.end();
+    }
+  }
+
+  forward(text) {
+    if (this.target && !this.target.destroyed && this.target.writable) {
+      this.target.write(text);
+    }
+  }
+}
+
+module.exports = {
+  StdinRouter
+};